@@ -0,0 +1,259 @@
+// Client for the Carris Metropolitana APIs (api.carrismetropolitana.pt and api.cmet.pt).
+//
+// All network access goes through getJson(), which times out stalled requests, retries
+// transient failures with backoff and turns every failure into an ApiError with a `kind`
+// the UI can explain: 'not_found', 'rate_limited', 'offline', 'server' or 'aborted'.
+//
+// Both bases can be pointed at a local stand-in, and sessions can be recorded and
+// replayed from JSON fixtures ({ recordedAt, entries: [{ service, path, t, data }] },
+// `t` in ms since recordedAt) so the app can be demoed and checked offline.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ApiClient = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const CARRIS_API = 'https://api.carrismetropolitana.pt';
+    const CMET_API = 'https://api.cmet.pt';
+
+    const DEFAULT_RETRIES = 2;
+    const REQUEST_TIMEOUT_MS = 10000;
+    const BACKOFF_BASE_MS = 500;
+    const BACKOFF_MAX_MS = 8000;
+    const STOP_INFO_TTL_MS = 6 * 60 * 60 * 1000; // stop metadata barely changes
+    const MAX_RECORDED_PER_PATH = 240; // /vehicles is the whole fleet, every 5-15 s
+
+    class ApiError extends Error {
+        constructor(kind, message, status) {
+            super(message);
+            this.name = 'ApiError';
+            this.kind = kind;
+            this.status = status || null;
+        }
+    }
+
+    function sleep(ms, signal) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(resolve, ms);
+            if (signal) {
+                signal.addEventListener('abort', () => {
+                    clearTimeout(timer);
+                    reject(new ApiError('aborted', 'Request superseded'));
+                }, { once: true });
+            }
+        });
+    }
+
+    function backoffDelay(attempt, retryAfterHeader) {
+        const retryAfter = Number(retryAfterHeader);
+        if (retryAfter > 0) return Math.min(retryAfter * 1000, BACKOFF_MAX_MS);
+        const exponential = BACKOFF_BASE_MS * 2 ** attempt;
+        return Math.min(exponential + Math.random() * BACKOFF_BASE_MS, BACKOFF_MAX_MS);
+    }
+
+    function errorForStatus(res, url) {
+        if (res.status === 404) return new ApiError('not_found', `Not found: ${url}`, res.status);
+        if (res.status === 429) return new ApiError('rate_limited', 'Too many requests', res.status);
+        return new ApiError('server', `HTTP ${res.status} for ${url}`, res.status);
+    }
+
+    // Aborts when the caller's signal does or after `ms`, whichever comes first
+    function attemptSignal(signal, ms) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), ms);
+        const onAbort = () => controller.abort();
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+        return {
+            signal: controller.signal,
+            done() {
+                clearTimeout(timer);
+                if (signal) signal.removeEventListener('abort', onAbort);
+            }
+        };
+    }
+
+    async function getJson(url, { signal, retries = DEFAULT_RETRIES, timeout = REQUEST_TIMEOUT_MS } = {}) {
+        for (let attempt = 0; ; attempt++) {
+            let error;
+            let retryAfter = null;
+            const attemptAbort = attemptSignal(signal, timeout);
+
+            try {
+                const res = await fetch(url, { signal: attemptAbort.signal });
+                if (res.ok) return await res.json();
+                error = errorForStatus(res, url);
+                retryAfter = res.headers.get('Retry-After');
+            } catch (e) {
+                if (e instanceof ApiError) throw e;
+                if (signal && signal.aborted) throw new ApiError('aborted', 'Request superseded');
+                if (e.name === 'AbortError') {
+                    // Our own timeout: treated like a dropped connection and retried
+                    error = new ApiError('offline', `No response after ${timeout} ms from ${url}`);
+                } else {
+                    // fetch only rejects on network failure (or a broken JSON body)
+                    error = e instanceof SyntaxError
+                        ? new ApiError('server', `Invalid response from ${url}`)
+                        : new ApiError('offline', e.message);
+                }
+            } finally {
+                attemptAbort.done();
+            }
+
+            if (error.kind === 'not_found' || attempt >= retries) throw error;
+            await sleep(backoffDelay(attempt, retryAfter), signal);
+        }
+    }
+
+    // --- Configuration, recording and replay ---
+    const config = {
+        carris: CARRIS_API,
+        cmet: CMET_API
+    };
+    let recording = null; // { recordedAt, entries, last: Map(key -> { body, count }) }
+    let replay = null; // { recordedAt, startedAt, speed, entries: Map(key -> sorted entries) }
+
+    function configure({ carrisBase, cmetBase } = {}) {
+        if (carrisBase) config.carris = carrisBase.replace(/\/$/, '');
+        if (cmetBase) config.cmet = cmetBase.replace(/\/$/, '');
+    }
+
+    function startRecording() {
+        recording = { recordedAt: Date.now(), entries: [], last: new Map() };
+    }
+
+    // Replay answers with the latest entry up to its clock, so a response equal to the
+    // previous one adds nothing; past the cap the oldest response for the path goes
+    function recordResponse(service, path, data) {
+        const key = `${service}:${path}`;
+        const body = JSON.stringify(data);
+        const last = recording.last.get(key);
+        if (last && last.body === body) return;
+
+        const count = (last ? last.count : 0) + 1;
+        recording.entries.push({ service, path, t: Date.now() - recording.recordedAt, data });
+        if (count > MAX_RECORDED_PER_PATH) {
+            recording.entries.splice(recording.entries.findIndex(e => e.service === service && e.path === path), 1);
+        }
+        recording.last.set(key, { body, count: Math.min(count, MAX_RECORDED_PER_PATH) });
+    }
+
+    function exportRecording() {
+        return recording ? { recordedAt: recording.recordedAt, entries: recording.entries.slice() } : null;
+    }
+
+    function startReplay(fixtures, { speed = 1 } = {}) {
+        const entries = new Map();
+        fixtures.entries.forEach(entry => {
+            const key = `${entry.service}:${entry.path}`;
+            if (!entries.has(key)) entries.set(key, []);
+            entries.get(key).push(entry);
+        });
+        entries.forEach(list => list.sort((a, b) => a.t - b.t));
+        replay = { recordedAt: fixtures.recordedAt, startedAt: Date.now(), speed, entries };
+    }
+
+    async function loadFixtures(url, options) {
+        const res = await fetch(url);
+        if (!res.ok) throw new ApiError('not_found', `Fixtures not found: ${url}`, res.status);
+        startReplay(await res.json(), options);
+    }
+
+    function isReplaying() {
+        return replay !== null;
+    }
+
+    // Time inside the replayed session, moving forward from when it was recorded
+    function replayNow() {
+        if (!replay) return new Date();
+        return new Date(replay.recordedAt + (Date.now() - replay.startedAt) * replay.speed);
+    }
+
+    async function replayResponse(service, path, signal) {
+        await Promise.resolve();
+        if (signal && signal.aborted) throw new ApiError('aborted', 'Request superseded');
+
+        const list = replay.entries.get(`${service}:${path}`);
+        if (!list) throw new ApiError('not_found', `No fixture for ${service} ${path}`, 404);
+
+        // Latest response recorded up to the replay clock (or the first one, before it)
+        const elapsed = replayNow().getTime() - replay.recordedAt;
+        let entry = list[0];
+        for (const candidate of list) {
+            if (candidate.t <= elapsed) entry = candidate;
+        }
+        return JSON.parse(JSON.stringify(entry.data));
+    }
+
+    async function request(service, path, options = {}) {
+        if (replay) return replayResponse(service, path, options.signal);
+
+        const data = await getJson(`${config[service]}${path}`, options);
+        if (recording) recordResponse(service, path, data);
+        return data;
+    }
+
+    // One AbortController per channel: starting a request cancels the previous one
+    const channels = new Map();
+
+    function supersede(channel) {
+        if (channels.has(channel)) channels.get(channel).abort();
+        const controller = new AbortController();
+        channels.set(channel, controller);
+        return controller.signal;
+    }
+
+    const stopInfoCache = new Map(); // stop_id -> { fetchedAt, data }
+
+    async function fetchStopInfo(stopId, options) {
+        const cached = stopInfoCache.get(stopId);
+        if (cached && Date.now() - cached.fetchedAt < STOP_INFO_TTL_MS) return cached.data;
+
+        const data = await request('carris', `/stops/${stopId}`, options);
+        stopInfoCache.set(stopId, { fetchedAt: Date.now(), data });
+        return data;
+    }
+
+    function fetchRealtime(stopId, options) {
+        return request('carris', `/stops/${stopId}/realtime`, options);
+    }
+
+    function fetchLine(lineId, options) {
+        return request('carris', `/lines/${lineId}`, options);
+    }
+
+    function fetchVehicles(options) {
+        return request('cmet', '/vehicles', options);
+    }
+
+    function fetchPattern(patternId, options) {
+        return request('cmet', `/patterns/${patternId}`, options);
+    }
+
+    function fetchShape(shapeId, options) {
+        return request('cmet', `/shapes/${shapeId}`, options);
+    }
+
+    return {
+        CARRIS_API,
+        CMET_API,
+        MAX_RECORDED_PER_PATH,
+        ApiError,
+        getJson,
+        request,
+        supersede,
+        configure,
+        startRecording,
+        exportRecording,
+        startReplay,
+        loadFixtures,
+        isReplaying,
+        replayNow,
+        fetchStopInfo,
+        fetchRealtime,
+        fetchLine,
+        fetchVehicles,
+        fetchPattern,
+        fetchShape
+    };
+});
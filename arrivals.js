@@ -0,0 +1,136 @@
+// Next departures at a stop or a group of stops, shared by the page and the Node CLI.
+//
+// Realtime replies are normalised to one shape, sorted soonest first:
+//   { lineId, stopId, destination, minutes, arrivalTs, scheduledTs, arrivalTime,
+//     isRealtime, color, vehicleId, tripId, patternId, stopSequence }
+// Groups (platforms of the same interface, or the user's own) are fetched in
+// parallel and merged into one list. Failed loads are explained the same way in
+// both places, from the ApiError kind.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./service-time.js'), require('./api-client.js'), require('./i18n.js'));
+    } else {
+        root.Arrivals = factory(root.ServiceTime, root.ApiClient, root.I18n);
+    }
+})(typeof self !== 'undefined' ? self : this, function (ServiceTime, ApiClient, I18n) {
+    // Built-in groups (platforms of the same interface), user groups are added on top
+    const STOP_GROUPS = {
+        '172197': ['172197', '172537', '172491']
+    };
+
+    function getLineColor(lineId) {
+        const firstDigit = lineId.charAt(0);
+        switch (firstDigit) {
+            case '1': return '#EBBD02'; // Yellow
+            case '2': return '#C6007E'; // Pink
+            case '3': return '#008BD2'; // Blue
+            case '4': return '#E30613'; // Red
+            default: return '#6f2282'; // Purple
+        }
+    }
+
+    // groups: user groups ({ id, stops }) checked before the built-in ones
+    function getGroupStops(id, groups = []) {
+        const group = groups.find(g => g.id === id);
+        if (group) return group.stops;
+        return STOP_GROUPS[id] || [id];
+    }
+
+    function normaliseRealtime(data, stopId, now = ServiceTime.now()) {
+        return data.map(arrival => {
+            const timeString = arrival.estimated_arrival || arrival.scheduled_arrival;
+            if (!timeString) return null;
+
+            // Service-day time in Lisbon, possibly past 24:00
+            const arrivalDate = ServiceTime.serviceTimeToInstant(timeString, now);
+            if (!arrivalDate) return null;
+
+            const scheduledDate = arrival.scheduled_arrival
+                ? ServiceTime.serviceTimeToInstant(arrival.scheduled_arrival, now)
+                : null;
+
+            return {
+                lineId: arrival.line_id,
+                stopId: stopId,
+                destination: arrival.headsign,
+                minutes: ServiceTime.minutesUntil(arrivalDate, now),
+                arrivalTs: arrivalDate.getTime(),
+                scheduledTs: scheduledDate ? scheduledDate.getTime() : null,
+                arrivalTime: ServiceTime.formatServiceClock(arrivalDate),
+                isRealtime: !!arrival.estimated_arrival,
+                color: getLineColor(arrival.line_id),
+                vehicleId: arrival.vehicle_id,
+                tripId: arrival.trip_id,
+                patternId: arrival.pattern_id,
+                stopSequence: arrival.stop_sequence
+            };
+        })
+            .filter(a => a !== null && a.minutes >= -1)
+            .sort((a, b) => a.minutes - b.minutes);
+    }
+
+    async function fetchArrivals(stopId, options) {
+        const data = await ApiClient.fetchRealtime(stopId, options);
+        return normaliseRealtime(data, stopId);
+    }
+
+    async function fetchMerged(stopIds, options) {
+        const results = await Promise.all(stopIds.map(id => fetchArrivals(id, options)));
+        return results.flat().sort((a, b) => a.minutes - b.minutes);
+    }
+
+    // lines: ids to keep (array or Set); empty or missing keeps every line
+    function filterByLines(arrivals, lines) {
+        const keep = lines instanceof Set ? lines : new Set(lines || []);
+        if (keep.size === 0) return arrivals;
+        return arrivals.filter(bus => keep.has(bus.lineId));
+    }
+
+    // Lines the dataset says call at the stops, plus any seen in the arrivals
+    function getAvailableLines(stopIds, stops, arrivals) {
+        const staticLines = stopIds.flatMap(id => {
+            const stopObj = stops.find(s => s.stop_id === id);
+            return stopObj ? stopObj.lines : [];
+        });
+        const arrivalLines = arrivals.map(a => a.lineId);
+        return Array.from(new Set([...staticLines, ...arrivalLines])).sort();
+    }
+
+    // --- Load errors ---
+    const STALE_REASONS = {
+        offline: 'stale.offline',
+        rate_limited: 'stale.rateLimited',
+        not_found: 'stale.notFound',
+        server: 'stale.server'
+    };
+
+    function getLoadErrorMessage(err) {
+        switch (err.kind) {
+            case 'not_found': return I18n.t('error.notFound');
+            case 'rate_limited': return I18n.t('error.rateLimited');
+            case 'offline': return I18n.t('error.offline');
+            default: return I18n.t('error.generic');
+        }
+    }
+
+    // Shown over a list kept from `fetchedAt` after a refresh failed with `kind`
+    function getStaleNotice(fetchedAt, kind, now = ServiceTime.now()) {
+        const age = Math.max(0, Math.floor((now.getTime() - fetchedAt) / 60000));
+        const time = ServiceTime.formatServiceClock(new Date(fetchedAt));
+        const reason = I18n.t(STALE_REASONS[kind] || 'stale.server');
+        return I18n.t('stale.notice', { reason, time, age });
+    }
+
+    return {
+        STOP_GROUPS,
+        getLineColor,
+        getGroupStops,
+        normaliseRealtime,
+        fetchArrivals,
+        fetchMerged,
+        filterByLines,
+        getAvailableLines,
+        getLoadErrorMessage,
+        getStaleNotice
+    };
+});
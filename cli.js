@@ -0,0 +1,203 @@
+#!/usr/bin/env node
+// paragem: next departures and stop search in the terminal.
+//
+//   paragem next 120385 --lines 1523,1524 [--json] [--watch]
+//   paragem search "Monte Abraão" [--limit 10] [--json]
+//
+// --watch redraws the list every 15 s like the page does (--json prints one line
+// per refresh instead). --replay plays a recorded session, as ?apiMode=replay does.
+const fs = require('fs');
+const { parseArgs } = require('util');
+const paragem = require('./paragem.js');
+
+const { ServiceTime, I18n, ApiClient, Arrivals, StopSearch } = paragem;
+
+const USAGE = `Usage:
+  paragem next <stop or group id> [--lines 1523,1524] [--json] [--watch [--every <s>]]
+  paragem search <query> [--limit <n>] [--json]
+
+Options:
+  --lang pt|en       language of the text output (default from LANG)
+  --api <url>        Carris API base (default ${ApiClient.CARRIS_API})
+  --cmet-api <url>   vehicles API base (default ${ApiClient.CMET_API})
+  --replay <file>    replay a recorded session instead of calling the API
+  --speed <n>        replay speed (default 1)`;
+
+const OPTIONS = {
+    lines: { type: 'string' },
+    json: { type: 'boolean', default: false },
+    watch: { type: 'boolean', short: 'w', default: false },
+    every: { type: 'string', default: '15' },
+    limit: { type: 'string', default: '10' },
+    lang: { type: 'string' },
+    api: { type: 'string' },
+    'cmet-api': { type: 'string' },
+    replay: { type: 'string' },
+    speed: { type: 'string', default: '1' },
+    help: { type: 'boolean', short: 'h', default: false }
+};
+
+const MIN_WATCH_SECONDS = 5;
+const DESTINATION_WIDTH = 32;
+const CLEAR_SCREEN = '\x1b[2J\x1b[H';
+
+const useColour = process.stdout.isTTY && !process.env.NO_COLOR;
+
+class UsageError extends Error {}
+
+// --- Formatting ---
+function paint(text, hexColor) {
+    if (!useColour) return text;
+    const [r, g, b] = [1, 3, 5].map(i => parseInt(hexColor.slice(i, i + 2), 16));
+    return `\x1b[48;2;${r};${g};${b}m\x1b[1;97m${text}\x1b[0m`;
+}
+
+function dim(text) {
+    return useColour ? `\x1b[2m${text}\x1b[0m` : text;
+}
+
+function fit(text, width) {
+    const chars = Array.from(text || '');
+    return chars.length > width ? `${chars.slice(0, width - 1).join('')}…` : chars.join('').padEnd(width);
+}
+
+function formatArrival(bus, isMerged) {
+    const when = bus.minutes <= 0 ? I18n.t('arrival.now') : `${bus.minutes} ${I18n.t('arrival.min')}`;
+    const status = I18n.t(bus.isRealtime ? 'arrival.live' : 'arrival.est');
+    const memberStop = isMerged ? paragem.findStop(bus.stopId) : null;
+    const tags = [
+        bus.vehicleId ? `#${bus.vehicleId.split('|')[1] || bus.vehicleId}` : '',
+        isMerged ? `@ ${memberStop ? memberStop.name : bus.stopId}` : ''
+    ].filter(Boolean).join(' ');
+
+    return [
+        paint(` ${bus.lineId} `, bus.color),
+        fit(bus.destination, DESTINATION_WIDTH),
+        when.padStart(7),
+        bus.arrivalTime,
+        status.padEnd(8),
+        dim(tags)
+    ].join('  ').trimEnd();
+}
+
+function formatDepartures(result, lines) {
+    const out = [`${result.name}${result.locality ? ` · ${result.locality}` : ''} (${result.stopIds.join(', ')})`, ''];
+
+    if (result.arrivals.length === 0) {
+        out.push(lines && lines.length > 0 ? I18n.t('list.filteredOut') : I18n.t('list.empty'));
+    } else {
+        const isMerged = result.stopIds.length > 1;
+        result.arrivals.forEach(bus => out.push(formatArrival(bus, isMerged)));
+    }
+    return out.join('\n');
+}
+
+function formatStop(stop) {
+    return [
+        stop.stop_id,
+        fit(stop.name, 48),
+        fit(stop.locality, 20),
+        dim(stop.lines.join(' '))
+    ].join('  ').trimEnd();
+}
+
+function stopJson(stop) {
+    return {
+        stop_id: stop.stop_id,
+        name: stop.name,
+        locality: stop.locality,
+        lat: stop.latNum,
+        lon: stop.lonNum,
+        lines: stop.lines,
+        status: stop.status
+    };
+}
+
+// --- Commands ---
+async function next(stopId, values) {
+    if (!stopId) throw new UsageError('Missing stop id');
+    const lines = values.lines ? values.lines.split(',').map(id => id.trim()).filter(Boolean) : null;
+
+    if (!values.watch) {
+        const result = await paragem.nextDepartures(stopId, { lines });
+        console.log(values.json ? JSON.stringify(result, null, 2) : formatDepartures(result, lines));
+        return;
+    }
+
+    const every = Math.max(MIN_WATCH_SECONDS, Number(values.every) || 0) * 1000;
+    let last = null;
+
+    // Runs until interrupted; a failed refresh keeps the last list, marked stale
+    for (;;) {
+        try {
+            last = await paragem.nextDepartures(stopId, { lines });
+            if (values.json) console.log(JSON.stringify(last));
+            else process.stdout.write(`${CLEAR_SCREEN}${formatDepartures(last, lines)}\n`);
+        } catch (err) {
+            if (values.json) {
+                console.log(JSON.stringify({ stopId, error: err.kind || 'server', message: err.message }));
+            } else if (last) {
+                process.stdout.write(`${CLEAR_SCREEN}${Arrivals.getStaleNotice(last.fetchedAt, err.kind)}\n\n${formatDepartures(last, lines)}\n`);
+            } else {
+                process.stdout.write(`${CLEAR_SCREEN}${Arrivals.getLoadErrorMessage(err)}\n`);
+            }
+        }
+        await new Promise(resolve => setTimeout(resolve, every));
+    }
+}
+
+function search(query, values) {
+    if (!query) throw new UsageError('Missing search query');
+    const index = paragem.getStopIndex();
+    const limit = Number(values.limit) || 10;
+    const stops = paragem.searchStops(query, { limit });
+
+    if (values.json) {
+        console.log(JSON.stringify(stops.map(stopJson), null, 2));
+        return;
+    }
+
+    const lineId = StopSearch.parseLineQuery(index, query);
+    if (lineId) {
+        const count = index.lineStops.get(lineId).length;
+        console.log(`${paint(` ${lineId} `, Arrivals.getLineColor(lineId))} ${I18n.t('search.lineStops', { count, lineId })}\n`);
+    }
+    if (stops.length === 0) {
+        console.log(I18n.t('search.notFound'));
+        process.exitCode = 1;
+        return;
+    }
+    stops.forEach(stop => console.log(formatStop(stop)));
+}
+
+const COMMANDS = { next, search };
+
+async function main(argv) {
+    const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    const [command, ...rest] = positionals;
+    if (values.help || !command) {
+        console.log(USAGE);
+        return;
+    }
+    if (!COMMANDS[command]) throw new UsageError(`Unknown command: ${command}`);
+
+    const envLanguages = [process.env.LC_ALL, process.env.LC_MESSAGES, process.env.LANG].filter(Boolean);
+    I18n.setLanguage(values.lang || I18n.detectLanguage(envLanguages));
+
+    ApiClient.configure({ carrisBase: values.api, cmetBase: values['cmet-api'] });
+    if (values.replay) {
+        ApiClient.startReplay(JSON.parse(fs.readFileSync(values.replay, 'utf8')), { speed: Number(values.speed) || 1 });
+        ServiceTime.setClock(ApiClient.replayNow);
+    }
+
+    await COMMANDS[command](rest.join(' '), values);
+}
+
+main(process.argv.slice(2)).catch(err => {
+    if (err instanceof UsageError || err.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION') {
+        console.error(`${err.message}\n\n${USAGE}`);
+        process.exit(2);
+    }
+    console.error(err instanceof ApiClient.ApiError ? Arrivals.getLoadErrorMessage(err) : err.message);
+    process.exit(1);
+});
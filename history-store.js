@@ -0,0 +1,178 @@
+// Punctuality history, kept on the device in IndexedDB.
+//
+// One observation per trip calling at a stop on a service day:
+//   { key, stopId, lineId, tripId, serviceDate, scheduledTs, firstSeen, lastSeen,
+//     wasRealtime, predictions: [{ at, arrivalTs, isRealtime }],
+//     outcome: null | 'departed' | 'no_show' | 'dropped', departedTs, departureSource, hour }
+// `hour` is the Lisbon hour of the departure (or of the schedule, for no-shows),
+// stored so the statistics don't need to know about time zones.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.HistoryStore = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const DB_NAME = 'paragem-history';
+    const DB_VERSION = 1;
+    const STORE = 'observations';
+    const MAX_PREDICTIONS = 40;
+    const RETENTION_MS = 60 * 24 * 60 * 60 * 1000;
+
+    // Buckets for "prediction error by time of day"
+    const DAY_PERIODS = [
+        { id: 'night', from: 0, to: 7 },
+        { id: 'am_peak', from: 7, to: 10 },
+        { id: 'midday', from: 10, to: 16 },
+        { id: 'pm_peak', from: 16, to: 20 },
+        { id: 'evening', from: 20, to: 24 }
+    ];
+
+    let dbPromise = null;
+
+    function requestToPromise(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    function open() {
+        if (dbPromise) return dbPromise;
+        if (typeof indexedDB === 'undefined') return Promise.reject(new Error('IndexedDB not available'));
+
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(STORE, { keyPath: 'key' });
+                store.createIndex('stopId', 'stopId');
+                store.createIndex('lastSeen', 'lastSeen');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // Let a later call try again (e.g. after private browsing blocked it)
+        dbPromise.catch(() => { dbPromise = null; });
+        return dbPromise;
+    }
+
+    function observationKey(stopId, tripId, serviceDate) {
+        return `${stopId}|${tripId}|${serviceDate}`;
+    }
+
+    async function get(keys) {
+        const db = await open();
+        const store = db.transaction(STORE).objectStore(STORE);
+        return Promise.all(keys.map(key => requestToPromise(store.get(key))));
+    }
+
+    async function putAll(observations) {
+        if (observations.length === 0) return;
+        const db = await open();
+        const tx = db.transaction(STORE, 'readwrite');
+        const store = tx.objectStore(STORE);
+        observations.forEach(observation => {
+            if (observation.predictions.length > MAX_PREDICTIONS) {
+                // Keep the first prediction, the trend is in the most recent ones
+                observation.predictions.splice(1, observation.predictions.length - MAX_PREDICTIONS);
+            }
+            store.put(observation);
+        });
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    async function getForStops(stopIds) {
+        const db = await open();
+        const index = db.transaction(STORE).objectStore(STORE).index('stopId');
+        const lists = await Promise.all(stopIds.map(id => requestToPromise(index.getAll(id))));
+        return lists.flat();
+    }
+
+    async function prune(now = Date.now()) {
+        const db = await open();
+        const tx = db.transaction(STORE, 'readwrite');
+        const range = IDBKeyRange.upperBound(now - RETENTION_MS);
+        const cursorRequest = tx.objectStore(STORE).index('lastSeen').openCursor(range);
+        cursorRequest.onsuccess = () => {
+            const cursor = cursorRequest.result;
+            if (!cursor) return;
+            cursor.delete();
+            cursor.continue();
+        };
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    function average(values) {
+        return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+    }
+
+    function periodFor(hour) {
+        return DAY_PERIODS.find(p => hour >= p.from && hour < p.to) || DAY_PERIODS[0];
+    }
+
+    // Per-line figures, in minutes:
+    //   averageDelay: observed departure minus schedule (positive = late)
+    //   error by period: mean absolute gap between each prediction and the observed departure
+    //   noShowRate: share of EST-only trips that never turned up
+    function summarise(observations) {
+        const byLine = new Map();
+        observations.forEach(o => {
+            if (!o.outcome) return;
+            if (!byLine.has(o.lineId)) byLine.set(o.lineId, []);
+            byLine.get(o.lineId).push(o);
+        });
+
+        return Array.from(byLine.entries()).map(([lineId, list]) => {
+            const departed = list.filter(o => o.outcome === 'departed');
+            const delays = departed
+                .filter(o => o.scheduledTs)
+                .map(o => (o.departedTs - o.scheduledTs) / 60000);
+
+            const errorsByPeriod = new Map();
+            departed.forEach(o => {
+                const period = periodFor(o.hour);
+                const errors = o.predictions
+                    .filter(p => p.at < o.departedTs)
+                    .map(p => Math.abs(p.arrivalTs - o.departedTs) / 60000);
+                if (errors.length === 0) return;
+                if (!errorsByPeriod.has(period.id)) errorsByPeriod.set(period.id, []);
+                errorsByPeriod.get(period.id).push(...errors);
+            });
+
+            const estOnly = list.filter(o => !o.wasRealtime);
+            return {
+                lineId,
+                observed: list.length,
+                departed: departed.length,
+                averageDelay: average(delays),
+                errorByPeriod: DAY_PERIODS
+                    .filter(p => errorsByPeriod.has(p.id))
+                    .map(p => ({
+                        id: p.id,
+                        meanError: average(errorsByPeriod.get(p.id)),
+                        samples: errorsByPeriod.get(p.id).length
+                    })),
+                estTrips: estOnly.length,
+                noShowRate: estOnly.length > 0
+                    ? estOnly.filter(o => o.outcome === 'no_show').length / estOnly.length
+                    : null
+            };
+        }).sort((a, b) => a.lineId.localeCompare(b.lineId));
+    }
+
+    return {
+        DAY_PERIODS,
+        observationKey,
+        get,
+        putAll,
+        getForStops,
+        prune,
+        summarise
+    };
+});
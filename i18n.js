@@ -0,0 +1,462 @@
+// Portuguese/English message catalogue and locale formatting for the UI.
+//
+// t('key', { name: value }) looks a message up in the current language (falling
+// back to Portuguese) and fills in {name} placeholders. A message can also be a set
+// of plural forms ({ one, other }), chosen from params.count with Intl.PluralRules,
+// so "1 paragem" and "3 paragens" come out right in both languages.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.I18n = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const DEFAULT_LANGUAGE = 'pt';
+    const LOCALES = { pt: 'pt-PT', en: 'en-GB' };
+
+    const MESSAGES = {
+        pt: {
+            'app.title': 'Carris Met. Mobile',
+            'header.mobileView': 'Vista móvel',
+            'header.favourite': 'Favorito',
+            'header.adjacent': '{name} + adjacentes',
+            'language.switch': 'EN',
+            'language.switchTitle': 'Switch to English',
+            'offline.save': '⬇ Offline',
+            'offline.saved': '✓ Offline',
+            'offline.saveTitle': 'Guardar todas as paragens para usar sem rede',
+            'offline.savedTitle': 'Paragens guardadas para usar sem rede',
+            'offline.done': 'Paragens guardadas para usar sem rede',
+
+            'quick.search': '🔍 Pesquisa',
+            'quick.nearMe': '📍 Perto de mim',
+            'quick.groups': '⧉ Grupos',
+            'quick.timetable': '🕒 Horário',
+            'quick.stats': '📊 Pontualidade',
+            'quick.editFavourites': 'Editar favoritos',
+
+            'search.placeholder': 'Paragem, linha ou localidade (ex. Marquês, 1523)',
+            'search.go': 'IR',
+            'search.lineStops': {
+                one: '{count} paragem servida pela linha {lineId}',
+                other: '{count} paragens servidas pela linha {lineId}'
+            },
+            'search.localityFilter': {
+                one: 'Filtrar {count} paragem nesta localidade',
+                other: 'Filtrar {count} paragens nesta localidade'
+            },
+            'search.notLoaded': 'Os dados das paragens ainda não carregaram. Aguarde um momento.',
+            'search.notFound': 'Paragem não encontrada. Tente selecionar da lista.',
+
+            'error.notFound': 'Paragem não encontrada.',
+            'error.rateLimited': 'Demasiados pedidos à API. A tentar de novo em breve.',
+            'error.offline': 'Sem ligação. A tentar de novo quando a rede voltar.',
+            'error.generic': 'Paragem não encontrada ou erro da API.',
+
+            'stale.offline': 'Offline',
+            'stale.rateLimited': 'API ocupada',
+            'stale.notFound': 'Paragem não encontrada',
+            'stale.server': 'Erro da API',
+            'stale.notice': 'Falha na atualização ({reason}) · a mostrar dados das {time} (há {age} min)',
+
+            'list.loading': 'A atualizar chegadas...',
+            'list.empty': 'Sem autocarros a chegar em breve.',
+            'list.filteredOut': 'Todas as linhas estão filtradas.',
+
+            'arrival.live': 'AO VIVO',
+            'arrival.est': 'PREVISTO',
+            'arrival.now': 'AGORA',
+            'arrival.min': 'min',
+            'arrival.tripDetails': 'Detalhes da viagem',
+            'arrival.alertMe': 'Avisar-me',
+
+            'filters.hint': 'Toque para filtrar, mantenha premido (ou Shift+Enter) para abrir a linha',
+            'filters.selectAll': 'Selecionar todas',
+
+            'favourites.empty': 'Ainda não tem paragens favoritas. Toque em ☆ para adicionar.',
+
+            'bus.title': 'Autocarro #{id}',
+            'bus.moving': 'Em andamento',
+            'bus.stopped': 'Parado',
+            'bus.inTransit': 'Em trânsito',
+            'bus.justNow': 'Agora mesmo',
+            'bus.minutesAgo': 'há {count} min',
+            'bus.secondsAgo': 'há {count} s',
+            'bus.speed': 'Velocidade:',
+            'bus.updated': 'Atualizado:',
+            'bus.trip': 'Viagem:',
+            'bus.stopsAway': {
+                one: 'a {count} paragem',
+                other: 'a {count} paragens'
+            },
+            'bus.passed': 'O autocarro já passou',
+            'bus.locating': 'A localizar...',
+            'bus.signalLost': 'Sem sinal do autocarro #{id}',
+
+            'alert.thisBus': 'Este autocarro',
+            'alert.nextOfLine': 'Próximo autocarro da linha {lineId} nesta paragem',
+            'alert.at': 'Avisar a',
+            'alert.minutesOption': 'minutos',
+            'alert.stopsOption': 'paragens',
+            'alert.cancel': 'Cancelar',
+            'alert.set': 'Criar alerta',
+            'alert.dismiss': 'Fechar alerta',
+            'alert.arrivingNow': 'A chegar',
+            'alert.disappeared': 'O autocarro desapareceu do tempo real, alerta cancelado',
+            'alert.minutesAway': 'a {count} min',
+            'alert.reassigned': 'autocarro substituído',
+            'alert.lost': 'sem sinal',
+            'alert.unitStops': { one: 'paragem', other: 'paragens' },
+            'alert.progress': 'a {threshold} {unit} · agora {progress}',
+
+            'nearMe.unavailable': 'A geolocalização não está disponível neste dispositivo.',
+            'nearMe.finding': 'A procurar paragens próximas...',
+            'nearMe.failed': 'Não foi possível obter a sua localização.',
+            'nearMe.noBuses': 'Sem autocarros em breve',
+            'nearMe.none': 'Nenhuma paragem ativa num raio de {distance}.',
+
+            'group.noStops': 'Ainda sem paragens',
+            'group.noNearby': 'Não há outras paragens neste raio',
+            'group.notLoaded': 'Os dados das paragens ainda não carregaram',
+            'group.namePlaceholder': 'Nome do grupo',
+            'group.stopIdPlaceholder': 'ID da paragem (ex. 172197)',
+            'group.suggestWithin': 'Sugerir cais próximos num raio de',
+            'group.update': 'Atualizar grupo',
+            'group.save': 'Guardar grupo',
+            'group.invalid': 'Dê um nome ao grupo e escolha pelo menos duas paragens.',
+
+            'map.close': '✕ Fechar mapa',
+            'map.loadingStops': 'A carregar paragens...',
+            'map.youAreHere': 'Está aqui',
+            'map.noLines': 'Sem linhas disponíveis',
+            'map.active': 'ATIVA',
+            'map.inactive': 'INATIVA',
+            'map.selectStop': 'Selecionar paragem',
+            'map.buses': '🚌 Autocarros',
+            'map.allLines': 'Todas as linhas',
+            'map.thisStop': 'Esta paragem',
+            'map.line': 'Linha {lineId}',
+
+            'estimate.passed': '⚠ já passou',
+            'estimate.passedTitle': 'O autocarro já passou esta paragem',
+            'estimate.differsTitle': 'A nossa estimativa pela velocidade do autocarro difere da previsão',
+            'estimate.speedTitle': 'Estimativa pela velocidade do autocarro',
+
+            'trip.loading': 'A carregar viagem...',
+            'trip.noSequence': 'Sequência de paragens indisponível para esta viagem.',
+            'trip.live': 'Autocarro #{id} · posição em tempo real',
+            'trip.noLive': 'Sem posição em tempo real, os horários são estimativas',
+
+            'line.loading': 'A carregar linha...',
+            'line.noStops': 'Sem paragens disponíveis para esta linha.',
+            'line.noBuses': 'Nenhum autocarro a circular nesta linha neste momento.',
+            'line.running': {
+                one: '{count} autocarro a circular agora',
+                other: '{count} autocarros a circular agora'
+            },
+
+            'timetable.title': 'Horário · {name}',
+            'timetable.today': 'Hoje',
+            'timetable.tomorrow': 'Amanhã',
+            'timetable.loading': 'A carregar horário...',
+            'timetable.empty': 'Sem partidas programadas neste dia.',
+
+            'stats.title': 'Pontualidade · {name}',
+            'stats.loading': 'A carregar histórico...',
+            'stats.unavailable': 'O histórico não está disponível neste navegador.',
+            'stats.empty': 'Ainda não foram observadas partidas aqui. Mantenha a paragem aberta enquanto passam autocarros para criar histórico.',
+            'stats.observed': {
+                one: '{count} viagem observada desde {date}',
+                other: '{count} viagens observadas desde {date}'
+            },
+            'stats.departures': { one: '{count} partida', other: '{count} partidas' },
+            'stats.averageDelay': 'Atraso médio',
+            'stats.noShows': 'Autocarros previstos que não apareceram',
+            'stats.noShowRate': '{percent} de {count}',
+            'stats.errorByPeriod': 'Erro de previsão por período do dia',
+
+            'period.night': 'Noite',
+            'period.am_peak': 'Ponta da manhã',
+            'period.midday': 'Meio do dia',
+            'period.pm_peak': 'Ponta da tarde',
+            'period.evening': 'Serão',
+
+            'view.minutes': 'MIN',
+            'view.time': 'HORA',
+            'dataAge.updated': 'Atualizado há {age}',
+            'dataAge.stale': 'Offline · dados de há {age}',
+
+            'api.saveRecording': '⏺ Guardar gravação',
+            'api.replay': 'Reprodução',
+
+            'search.label': 'Pesquisar paragens',
+            'search.suggestions': 'Sugestões',
+            'map.open': 'Abrir mapa',
+            'a11y.arrival': 'Linha {lineId} para {destination}, {when}, {status}',
+            'a11y.minutes': { one: '{count} minuto', other: '{count} minutos' },
+            'a11y.now': 'a chegar agora',
+            'a11y.at': 'às {time}',
+            'a11y.live': 'em tempo real',
+            'a11y.estimated': 'estimado',
+            'a11y.openLine': 'Abrir linha {lineId}',
+            'a11y.filterLine': 'Linha {lineId}',
+            'a11y.arriving': 'Está a chegar o autocarro da linha {lineId} para {destination}'
+        },
+        en: {
+            'app.title': 'Carris Met. Mobile',
+            'header.mobileView': 'Mobile View',
+            'header.favourite': 'Favourite',
+            'header.adjacent': '{name} + Adjacent',
+            'language.switch': 'PT',
+            'language.switchTitle': 'Mudar para português',
+            'offline.save': '⬇ Offline',
+            'offline.saved': '✓ Offline',
+            'offline.saveTitle': 'Save all stops for use without a connection',
+            'offline.savedTitle': 'Stops saved for use without a connection',
+            'offline.done': 'Stops saved for use without a connection',
+
+            'quick.search': '🔍 Search',
+            'quick.nearMe': '📍 Near me',
+            'quick.groups': '⧉ Groups',
+            'quick.timetable': '🕒 Timetable',
+            'quick.stats': '📊 Punctuality',
+            'quick.editFavourites': 'Edit favourites',
+
+            'search.placeholder': 'Stop, line or locality (e.g. Marques, 1523)',
+            'search.go': 'GO',
+            'search.lineStops': {
+                one: '{count} stop served by line {lineId}',
+                other: '{count} stops served by line {lineId}'
+            },
+            'search.localityFilter': {
+                one: 'Filter {count} stop in this locality',
+                other: 'Filter {count} stops in this locality'
+            },
+            'search.notLoaded': 'Stop data not loaded yet. Please wait.',
+            'search.notFound': 'Stop not found. Try selecting from the list.',
+
+            'error.notFound': 'Stop not found.',
+            'error.rateLimited': 'Too many requests to the API. Retrying shortly.',
+            'error.offline': 'No connection. Retrying when the network is back.',
+            'error.generic': 'Stop not found or API error.',
+
+            'stale.offline': 'Offline',
+            'stale.rateLimited': 'API busy',
+            'stale.notFound': 'Stop not found',
+            'stale.server': 'API error',
+            'stale.notice': 'Update failed ({reason}) · showing data from {time} ({age} min ago)',
+
+            'list.loading': 'Updating arrivals...',
+            'list.empty': 'No buses arriving soon.',
+            'list.filteredOut': 'All lines filtered out.',
+
+            'arrival.live': 'LIVE',
+            'arrival.est': 'EST',
+            'arrival.now': 'NOW',
+            'arrival.min': 'min',
+            'arrival.tripDetails': 'Trip details',
+            'arrival.alertMe': 'Alert me',
+
+            'filters.hint': 'Tap to filter, hold (or Shift+Enter) to open line',
+            'filters.selectAll': 'Select All',
+
+            'favourites.empty': 'No favourite stops yet. Tap ☆ to add one.',
+
+            'bus.title': 'Bus #{id}',
+            'bus.moving': 'Moving',
+            'bus.stopped': 'Stopped',
+            'bus.inTransit': 'In Transit',
+            'bus.justNow': 'Just now',
+            'bus.minutesAgo': '{count}m ago',
+            'bus.secondsAgo': '{count}s ago',
+            'bus.speed': 'Speed:',
+            'bus.updated': 'Updated:',
+            'bus.trip': 'Trip:',
+            'bus.stopsAway': {
+                one: '{count} stop away',
+                other: '{count} stops away'
+            },
+            'bus.passed': 'Vehicle passed',
+            'bus.locating': 'Locating...',
+            'bus.signalLost': 'Signal lost for Bus #{id}',
+
+            'alert.thisBus': 'This bus',
+            'alert.nextOfLine': 'Next bus of line {lineId} at this stop',
+            'alert.at': 'Alert me at',
+            'alert.minutesOption': 'minutes away',
+            'alert.stopsOption': 'stops away',
+            'alert.cancel': 'Cancel',
+            'alert.set': 'Set alert',
+            'alert.dismiss': 'Dismiss alert',
+            'alert.arrivingNow': 'Arriving now',
+            'alert.disappeared': 'Bus disappeared from realtime, alert cancelled',
+            'alert.minutesAway': '{count} min away',
+            'alert.reassigned': 'bus re-assigned',
+            'alert.lost': 'signal lost',
+            'alert.unitStops': { one: 'stop', other: 'stops' },
+            'alert.progress': 'at {threshold} {unit} · now {progress}',
+
+            'nearMe.unavailable': 'Geolocation is not available on this device.',
+            'nearMe.finding': 'Finding nearby stops...',
+            'nearMe.failed': 'Could not get your location.',
+            'nearMe.noBuses': 'No buses soon',
+            'nearMe.none': 'No active stops within {distance}.',
+
+            'group.noStops': 'No stops yet',
+            'group.noNearby': 'No other stops within this radius',
+            'group.notLoaded': 'Stop data not loaded yet',
+            'group.namePlaceholder': 'Group name',
+            'group.stopIdPlaceholder': 'Stop ID (e.g. 172197)',
+            'group.suggestWithin': 'Suggest nearby platforms within',
+            'group.update': 'Update group',
+            'group.save': 'Save group',
+            'group.invalid': 'Give the group a name and pick at least two stops.',
+
+            'map.close': '✕ Close Map',
+            'map.loadingStops': 'Loading stops...',
+            'map.youAreHere': 'You are here',
+            'map.noLines': 'No lines available',
+            'map.active': 'ACTIVE',
+            'map.inactive': 'INACTIVE',
+            'map.selectStop': 'Select Stop',
+            'map.buses': '🚌 Buses',
+            'map.allLines': 'All lines',
+            'map.thisStop': 'This stop',
+            'map.line': 'Line {lineId}',
+
+            'estimate.passed': '⚠ passed',
+            'estimate.passedTitle': 'The bus is already past this stop',
+            'estimate.differsTitle': 'Our estimate from the bus speed differs from the prediction',
+            'estimate.speedTitle': 'Estimate from the bus speed',
+
+            'trip.loading': 'Loading trip...',
+            'trip.noSequence': 'Stop sequence not available for this trip.',
+            'trip.live': 'Bus #{id} · live position',
+            'trip.noLive': 'No live position, times are estimates',
+
+            'line.loading': 'Loading line...',
+            'line.noStops': 'No stops available for this line.',
+            'line.noBuses': 'No buses running on this line right now.',
+            'line.running': {
+                one: '{count} bus running now',
+                other: '{count} buses running now'
+            },
+
+            'timetable.title': 'Timetable · {name}',
+            'timetable.today': 'Today',
+            'timetable.tomorrow': 'Tomorrow',
+            'timetable.loading': 'Loading timetable...',
+            'timetable.empty': 'No scheduled departures on this day.',
+
+            'stats.title': 'Punctuality · {name}',
+            'stats.loading': 'Loading history...',
+            'stats.unavailable': 'History is not available in this browser.',
+            'stats.empty': 'No departures observed here yet. Keep the stop open while buses pass to build up history.',
+            'stats.observed': {
+                one: '{count} trip observed since {date}',
+                other: '{count} trips observed since {date}'
+            },
+            'stats.departures': { one: '{count} departure', other: '{count} departures' },
+            'stats.averageDelay': 'Average delay',
+            'stats.noShows': 'EST buses not showing up',
+            'stats.noShowRate': '{percent} of {count}',
+            'stats.errorByPeriod': 'Prediction error by time of day',
+
+            'period.night': 'Night',
+            'period.am_peak': 'Morning peak',
+            'period.midday': 'Midday',
+            'period.pm_peak': 'Evening peak',
+            'period.evening': 'Evening',
+
+            'view.minutes': 'MIN',
+            'view.time': 'HR',
+            'dataAge.updated': 'Updated {age} ago',
+            'dataAge.stale': 'Offline · data from {age} ago',
+
+            'api.saveRecording': '⏺ Save recording',
+            'api.replay': 'Replay',
+
+            'search.label': 'Search stops',
+            'search.suggestions': 'Suggestions',
+            'map.open': 'Open map',
+            'a11y.arrival': 'Line {lineId} to {destination}, {when}, {status}',
+            'a11y.minutes': { one: '{count} minute', other: '{count} minutes' },
+            'a11y.now': 'arriving now',
+            'a11y.at': 'at {time}',
+            'a11y.live': 'live',
+            'a11y.estimated': 'estimated',
+            'a11y.openLine': 'Open line {lineId}',
+            'a11y.filterLine': 'Line {lineId}',
+            'a11y.arriving': 'Line {lineId} to {destination} is arriving'
+        }
+    };
+
+    let language = DEFAULT_LANGUAGE;
+    let pluralRules = new Intl.PluralRules(LOCALES[language]);
+
+    // First supported language in the browser's preference list
+    function detectLanguage(languages) {
+        for (const tag of languages || []) {
+            const base = String(tag).slice(0, 2).toLowerCase();
+            if (MESSAGES[base]) return base;
+        }
+        return DEFAULT_LANGUAGE;
+    }
+
+    function setLanguage(lang) {
+        language = MESSAGES[lang] ? lang : DEFAULT_LANGUAGE;
+        pluralRules = new Intl.PluralRules(LOCALES[language]);
+    }
+
+    function getLanguage() {
+        return language;
+    }
+
+    function getLocale() {
+        return LOCALES[language];
+    }
+
+    function formatNumber(value, options) {
+        return new Intl.NumberFormat(LOCALES[language], options).format(value);
+    }
+
+    // "450 m" / "1,2 km" (pt) or "1.2 km" (en)
+    function formatDistance(meters) {
+        return meters < 1000
+            ? `${formatNumber(Math.round(meters / 10) * 10)} m`
+            : `${formatNumber(meters / 1000, { maximumFractionDigits: 1 })} km`;
+    }
+
+    function formatDate(date, options) {
+        return new Intl.DateTimeFormat(LOCALES[language], options).format(date);
+    }
+
+    function t(key, params = {}) {
+        let message = MESSAGES[language][key];
+        if (message === undefined) message = MESSAGES[DEFAULT_LANGUAGE][key];
+        if (message === undefined) return key;
+
+        if (typeof message === 'object') {
+            message = message[pluralRules.select(params.count)] || message.other;
+        }
+        return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+            const value = params[name];
+            if (value === undefined) return placeholder;
+            return typeof value === 'number' ? formatNumber(value) : value;
+        });
+    }
+
+    return {
+        DEFAULT_LANGUAGE,
+        LOCALES,
+        MESSAGES,
+        detectLanguage,
+        setLanguage,
+        getLanguage,
+        getLocale,
+        formatNumber,
+        formatDistance,
+        formatDate,
+        t
+    };
+});
@@ -1,10 +1,26 @@
+import hashlib
 import json
+import math
 import os
 
-try:
+# Stops are served to the page in geographic tiles plus a search index:
+#   stops/manifest.json           version stamp and file names, always fetched fresh
+#   stops/index.<hash>.json       { tileDeg, localities, tiles, tileCounts, lines, inactive,
+#                                   stops: [[id, name, locality]] }
+#   stops/tiles/<tile>.<hash>.json  [[id, lat, lon, lines]] for the stops in one tile
+# The index holds what search needs up front: index stops are ordered by tile, with
+# tileCounts[i] of them in tiles[i]; lines maps each line to the tiles its stops
+# are in, so a line search only loads those; inactive lists index positions.
+# File names carry a hash of their content, so an updated dataset only costs the
+# files that actually changed.
+TILE_DEG = 0.05
+OUT_DIR = 'stops'
+
+
+def build_lite():
     with open('stops.txt', 'r', encoding='utf-8') as f:
         data = json.load(f)
-    
+
     # Minimize data
     lite_data = []
     for stop in data:
@@ -13,14 +29,101 @@ try:
             'n': stop['name'],
             'l': stop['lat'],
             'o': stop['lon'],
-            'c': stop.get('locality', '')
+            'c': stop.get('locality', ''),
+            'r': stop.get('lines', []),
+            's': 1 if stop.get('operational_status', 'ACTIVE') == 'ACTIVE' else 0
         })
-    
+
     with open('stops_lite.json', 'w', encoding='utf-8') as f:
         json.dump(lite_data, f, separators=(',', ':'))
-        
+
     print(f"Optimization complete. Original size: {os.path.getsize('stops.txt')/1024/1024:.2f}MB")
     print(f"New size: {os.path.getsize('stops_lite.json')/1024/1024:.2f}MB")
 
+
+def tile_key(lat, lon):
+    # Same arithmetic as tileKeyFor() in stop-search.js
+    return f"{math.floor(lat / TILE_DEG)}:{math.floor(lon / TILE_DEG)}"
+
+
+def write_hashed(directory, stem, payload):
+    body = json.dumps(payload, separators=(',', ':'), ensure_ascii=False).encode('utf-8')
+    digest = hashlib.sha1(body).hexdigest()[:10]
+    name = f"{stem}.{digest}.json"
+    os.makedirs(directory, exist_ok=True)
+    with open(os.path.join(directory, name), 'wb') as f:
+        f.write(body)
+    return name, len(body)
+
+
+def build_tiles():
+    with open('stops_lite.json', 'r', encoding='utf-8') as f:
+        data = json.load(f)
+
+    by_tile = {}
+    for stop in data:
+        by_tile.setdefault(tile_key(float(stop['l']), float(stop['o'])), []).append(stop)
+
+    tile_keys = sorted(by_tile)
+    localities = sorted(set(stop.get('c') or '' for stop in data))
+    locality_index = {name: i for i, name in enumerate(localities)}
+
+    tiles = {}
+    stops = []
+    inactive = []
+    line_tiles = {}
+    for tile_idx, key in enumerate(tile_keys):
+        tiles[key] = []
+        for stop in by_tile[key]:
+            lines = stop.get('r') or []
+            tiles[key].append([stop['i'], float(stop['l']), float(stop['o']), ' '.join(lines)])
+            if stop.get('s', 1) != 1:
+                inactive.append(len(stops))
+            stops.append([stop['i'], stop['n'], locality_index[stop.get('c') or '']])
+            for line in lines:
+                line_tiles.setdefault(line, set()).add(tile_idx)
+
+    index = {
+        'tileDeg': TILE_DEG,
+        'localities': localities,
+        'tiles': tile_keys,
+        'tileCounts': [len(by_tile[key]) for key in tile_keys],
+        'lines': {line: sorted(line_tiles[line]) for line in sorted(line_tiles)},
+        'inactive': inactive,
+        'stops': stops
+    }
+
+    index_name, index_size = write_hashed(OUT_DIR, 'index', index)
+    tile_names = {}
+    tiles_size = 0
+    for key in tile_keys:
+        name, size = write_hashed(os.path.join(OUT_DIR, 'tiles'), key.replace(':', '_'), tiles[key])
+        tile_names[key] = name
+        tiles_size += size
+
+    version = hashlib.sha1((index_name + ''.join(tile_names[k] for k in tile_keys)).encode('utf-8')).hexdigest()[:12]
+    manifest = {
+        'version': version,
+        'tileDeg': TILE_DEG,
+        'index': index_name,
+        'tiles': tile_names
+    }
+    with open(os.path.join(OUT_DIR, 'manifest.json'), 'w', encoding='utf-8') as f:
+        json.dump(manifest, f, separators=(',', ':'))
+
+    # Drop files from earlier versions
+    keep = {index_name} | set(tile_names.values())
+    for directory in (OUT_DIR, os.path.join(OUT_DIR, 'tiles')):
+        for name in os.listdir(directory):
+            if name.endswith('.json') and name != 'manifest.json' and name not in keep:
+                os.remove(os.path.join(directory, name))
+
+    print(f"Dataset {version}: index {index_size/1024:.0f}KB, {len(tile_keys)} tiles {tiles_size/1024:.0f}KB")
+
+
+try:
+    if os.path.exists('stops.txt'):
+        build_lite()
+    build_tiles()
 except Exception as e:
     print(f"Error: {e}")
@@ -0,0 +1,75 @@
+// Node entry point: the page's data layer without the DOM, for scripts and the CLI.
+//
+// Realtime normalisation and stop group merging come from arrivals.js, search from
+// stop-search.js over the bundled stops_lite.json, API access (retries, replay) from
+// api-client.js; the same files the browser loads.
+const fs = require('fs');
+const path = require('path');
+
+const ServiceTime = require('./service-time.js');
+const I18n = require('./i18n.js');
+const ApiClient = require('./api-client.js');
+const Arrivals = require('./arrivals.js');
+const StopSearch = require('./stop-search.js');
+
+const STOPS_FILE = path.join(__dirname, 'stops_lite.json');
+
+let stopIndex = null;
+
+function loadStops(file = STOPS_FILE) {
+    return StopSearch.fromLite(JSON.parse(fs.readFileSync(file, 'utf8')));
+}
+
+// The dataset is read on first use only
+function getStopIndex() {
+    if (!stopIndex) stopIndex = StopSearch.createIndex(loadStops());
+    return stopIndex;
+}
+
+function findStop(stopId) {
+    return StopSearch.findStop(getStopIndex(), stopId);
+}
+
+// options: { limit, origin, locality }, as in the page's search box
+function searchStops(query, options) {
+    return StopSearch.search(getStopIndex(), query, options);
+}
+
+// The web list for a stop or group id:
+//   { stopId, stopIds, name, locality, lines, arrivals, fetchedAt }
+// lines: keep only these line ids; groups: user groups ({ id, name, stops }) to resolve first
+async function nextDepartures(stopId, { lines, groups = [], signal } = {}) {
+    const stopIds = Arrivals.getGroupStops(stopId, groups);
+    const [stop, arrivals] = await Promise.all([
+        ApiClient.fetchStopInfo(stopIds[0], { signal }),
+        Arrivals.fetchMerged(stopIds, { signal })
+    ]);
+
+    const group = groups.find(g => g.id === stopId);
+    const name = group && group.name
+        ? group.name
+        : (stopIds.length > 1 ? I18n.t('header.adjacent', { name: stop.name }) : stop.name);
+
+    return {
+        stopId,
+        stopIds,
+        name,
+        locality: stop.locality || stop.municipality_name || null,
+        lines: Arrivals.getAvailableLines(stopIds, getStopIndex().stops, arrivals),
+        arrivals: Arrivals.filterByLines(arrivals, lines),
+        fetchedAt: ServiceTime.now().getTime()
+    };
+}
+
+module.exports = {
+    ServiceTime,
+    I18n,
+    ApiClient,
+    Arrivals,
+    StopSearch,
+    loadStops,
+    getStopIndex,
+    findStop,
+    searchStops,
+    nextDepartures
+};
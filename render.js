@@ -0,0 +1,91 @@
+// Safe rendering helpers for the UI.
+//
+// html`...` is a tagged template that escapes every interpolated value, so stop
+// names, headsigns and vehicle ids from the API or the dataset can't break out of
+// text or attribute context. Nested html`` results are inserted as they are,
+// arrays are joined, and null/undefined/false render as nothing.
+//
+// Markup carries no inline handlers: elements get a data-action="..." plus data-*
+// arguments, and delegate() dispatches clicks (or change/submit events) on them
+// from one listener per event type.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Render = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const ESCAPES = {
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#39;',
+        '`': '&#96;'
+    };
+
+    class SafeHtml {
+        constructor(value) {
+            this.value = value;
+        }
+
+        toString() {
+            return this.value;
+        }
+    }
+
+    function escapeHtml(value) {
+        return String(value).replace(/[&<>"'`]/g, char => ESCAPES[char]);
+    }
+
+    function toHtml(value) {
+        if (value instanceof SafeHtml) return value.value;
+        if (Array.isArray(value)) return value.map(toHtml).join('');
+        if (value === null || value === undefined || value === false) return '';
+        return escapeHtml(value);
+    }
+
+    function html(strings, ...values) {
+        let out = strings[0];
+        values.forEach((value, i) => {
+            out += toHtml(value) + strings[i + 1];
+        });
+        return new SafeHtml(out);
+    }
+
+    // Plain strings are set as text, so only html`` output ever becomes markup
+    function setHtml(el, content) {
+        el.innerHTML = toHtml(content);
+    }
+
+    // Detached element for APIs that take a node (Leaflet popups)
+    function element(content, className = '') {
+        const el = document.createElement('div');
+        el.className = className;
+        setHtml(el, content);
+        return el;
+    }
+
+    // handlers: { 'action-name': (el, event) => ... }, called for the innermost
+    // [data-action] under the event; action names are unique across event types.
+    // An event is only handled once, so a node can have its own listener (Leaflet
+    // stops clicks inside popups) under a document one.
+    function delegate(root, type, handlers) {
+        root.addEventListener(type, (event) => {
+            if (event.actionHandled) return;
+            const el = event.target.closest && event.target.closest('[data-action]');
+            if (!el || !handlers[el.dataset.action]) return;
+            event.actionHandled = true;
+            handlers[el.dataset.action](el, event);
+        });
+    }
+
+    return {
+        SafeHtml,
+        escapeHtml,
+        html,
+        setHtml,
+        element,
+        delegate
+    };
+});
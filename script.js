@@ -1,5 +1,3 @@
-const BASE_URL = 'https://api.carrismetropolitana.pt';
-
 // --- State ---
 let currentStopId = '120385';
 let refreshInterval;
@@ -10,10 +8,27 @@ let availableLines = [];
 let activeLines = new Set();
 let previousStopId = null;
 let activeBusMapId = null;
-
-const stopGroups = {
-    '172197': ['172197', '172537', '172491']
-};
+let staleSince = null;
+let lastLoadedAt = null;
+let staleReason = null;
+let latestLoadId = 0;
+
+// Seed for first run, replaced by whatever the user stores
+const DEFAULT_FAVOURITES = [
+    { id: '120385', name: 'Queluz de Baixo' },
+    { id: '172197', name: 'Monte Abraão' }
+];
+const MAX_RECENT_STOPS = 5;
+
+let favourites = loadStored('paragem.favourites', DEFAULT_FAVOURITES);
+let recentStops = loadStored('paragem.recents', []);
+let userGroups = loadStored('paragem.groups', []);
+let groupDraft = null;
+
+// Deep link state waiting for the first load of its stop
+let linkedGroup = null;
+let pendingLineFilter = null;
+let pendingBusVehicleId = null;
 
 const searchInput = document.getElementById('stop-id-input');
 const suggestionsList = document.getElementById('suggestions');
@@ -27,133 +42,216 @@ function debounce(func, wait) {
     };
 }
 
-const getLineColor = (lineId) => {
-    const firstDigit = lineId.charAt(0);
-    switch (firstDigit) {
-        case '1': return '#EBBD02'; // Yellow
-        case '2': return '#C6007E'; // Pink
-        case '3': return '#008BD2'; // Blue
-        case '4': return '#E30613'; // Red
-        default: return '#6f2282'; // Purple
+function loadStored(key, fallback) {
+    try {
+        const raw = localStorage.getItem(key);
+        return raw ? JSON.parse(raw) : fallback;
+    } catch (e) {
+        return fallback;
     }
-};
+}
+
+function saveStored(key, value) {
+    try {
+        localStorage.setItem(key, JSON.stringify(value));
+    } catch (e) {
+        console.warn(`Could not save ${key}`, e);
+    }
+}
+
+// Escaping template tag for everything rendered from API and dataset strings
+const html = Render.html;
+
+// Haversine distance in metres
+const distanceMeters = StopSearch.distanceMeters;
+
+const getLineColor = Arrivals.getLineColor;
+
+const getLoadErrorMessage = Arrivals.getLoadErrorMessage;
 
 const updateClock = () => {
-    const now = new Date();
-    document.getElementById('clock').innerText = now.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    document.getElementById('clock').innerText = ServiceTime.formatServiceClock(ServiceTime.now());
+};
+
+// --- Language ---
+// Follows the browser until the user picks one with the footer switch
+I18n.setLanguage(loadStored('paragem.language', null) || I18n.detectLanguage(navigator.languages || [navigator.language]));
+
+// Text in index.html, marked with data-i18n / data-i18n-placeholder / data-i18n-title
+function applyStaticTranslations() {
+    document.documentElement.lang = I18n.getLanguage();
+    document.title = I18n.t('app.title');
+    document.querySelectorAll('[data-i18n]').forEach(el => { el.innerText = I18n.t(el.dataset.i18n); });
+    document.querySelectorAll('[data-i18n-placeholder]').forEach(el => { el.placeholder = I18n.t(el.dataset.i18nPlaceholder); });
+    document.querySelectorAll('[data-i18n-title]').forEach(el => { el.title = I18n.t(el.dataset.i18nTitle); });
+    document.querySelectorAll('[data-i18n-label]').forEach(el => { el.setAttribute('aria-label', I18n.t(el.dataset.i18nLabel)); });
+}
+
+window.toggleLanguage = function () {
+    I18n.setLanguage(I18n.getLanguage() === 'pt' ? 'en' : 'pt');
+    saveStored('paragem.language', I18n.getLanguage());
+
+    applyStaticTranslations();
+    renderQuickActions();
+    renderLineFilters(availableLines);
+    renderAlertsPanel();
+    renderOfflineButton();
+    if (document.getElementById('groups-panel').classList.contains('show')) renderGroupsPanel();
+    if (nearMeActive) renderNearMe();
+    if (mapVehiclesLayer) renderMapVehicleControls();
+    if (kiosk) renderDataAge();
+    loadData(false);
 };
 
 // --- API & Data ---
-function loadStopsData() {
-    if (window.ALL_STOPS) {
-        processStops(window.ALL_STOPS);
-        return;
-    }
+// The stop dataset is split by optimize_data.py: a search index (names, localities)
+// loaded up front, and coordinates and lines in geographic tiles loaded as needed.
+// Only the small manifest is revalidated; the files it names are content-hashed.
+const STOPS_DIR = 'stops/';
+let stopsManifest = null; // { version, tileDeg, index, tiles: { key: file } }
+let stopsById = new Map();
+
+function fetchStopsFile(path, options) {
+    return fetch(`${STOPS_DIR}${path}`, options).then(res => {
+        if (!res.ok) throw new Error(`Stop data missing: ${path}`);
+        return res.json();
+    });
+}
 
-    fetch('stops_lite.json')
-        .then(res => {
-            if (!res.ok) throw new Error("Lite data missing");
-            return res.json();
-        })
-        .then(data => {
-            // Map short keys back to standard format for the app
-            allStops = data.map(s => ({
-                stop_id: s.i,
-                name: s.n,
-                lat: s.l,
-                lon: s.o,
-                locality: s.c,
-                lines: s.r || [],
-                status: s.s === 1 ? 'ACTIVE' : 'INACTIVE',
-                // Add dummy fields if text search needs them avoids crashes
-                tts_name: s.n
-            }));
-
-            if (typeof updateMapMarkers === 'function' && typeof map !== 'undefined' && map) {
-                updateMapMarkers();
-            }
+function loadStopsData() {
+    fetchStopsFile('manifest.json', { cache: 'no-cache' })
+        .then(manifest => {
+            stopsManifest = manifest;
+            return fetchStopsFile(manifest.index);
         })
-        .catch(e => {
-            console.warn("Falling back to full stops.txt", e);
-            fetch('stops.txt')
-                .then(res => res.json())
-                .then(data => {
-                    processStops(data);
-                });
-        });
+        .then(data => processStops(StopSearch.fromIndex(data), StopSearch.lineTilesFromIndex(data)))
+        .catch(e => console.error("Could not load stop data", e));
 }
 
-function processStops(data) {
-    // Normalize data if it comes from legacy source (stops.txt or stops_data.js)
-    allStops = data.map(stop => {
-        // If already normalized (lite format), return as is (but mapped to full keys)
-        if (stop.status) return stop;
-
-        return {
-            ...stop,
-            // Map legacy fields to new standard
-            status: stop.operational_status || 'ACTIVE',
-            lines: stop.lines || [],
-            // Ensure lat/lon are numbers for map
-            lat: stop.lat,
-            lon: stop.lon
-        };
-    });
+function processStops(stops, lineTiles) {
+    allStops = stops;
+    stopsById = new Map(stops.map(stop => [stop.stop_id, stop]));
+    stopsGrid = new Map();
+    tileRequests.clear();
+
+    searchIndex = StopSearch.createIndex(allStops, lineTiles);
+    renderQuickActions();
+    loadStopTiles(getGroupStops(currentStopId));
 
     if (typeof updateMapMarkers === 'function' && typeof map !== 'undefined' && map) {
         updateMapMarkers();
     }
 }
 
-async function fetchStopInfo(stopId) {
-    const res = await fetch(`${BASE_URL}/stops/${stopId}`);
-    if (!res.ok) throw new Error('Stop not found');
-    return res.json();
+// --- Spatial Index ---
+// Loaded tiles double as the grid for viewport and radius queries; stops in
+// tiles that haven't loaded have no coordinates and are left out
+let stopsGrid = new Map(); // tile key -> stops
+const tileRequests = new Map(); // tile key -> Promise
+
+// Resolves to true if any of the tiles was fetched by this call
+function loadTiles(keys) {
+    if (!stopsManifest) return Promise.resolve(false);
+
+    const requests = keys
+        .filter(key => stopsManifest.tiles[key] && !tileRequests.has(key))
+        .map(key => {
+            const request = fetchStopsFile(`tiles/${stopsManifest.tiles[key]}`)
+                .then(rows => {
+                    const stops = StopSearch.applyTile(stopsById, rows);
+                    StopSearch.addLines(searchIndex, stops);
+                    stopsGrid.set(key, stops);
+                })
+                .catch(e => {
+                    // Let a later call try again
+                    tileRequests.delete(key);
+                    console.warn(`Stop tile ${key} unavailable`, e);
+                });
+            tileRequests.set(key, request);
+            return request;
+        });
+    const pending = keys.filter(key => tileRequests.has(key)).map(key => tileRequests.get(key));
+    return Promise.all(pending).then(() => requests.length > 0);
+}
+
+function loadTilesInBounds(south, west, north, east) {
+    if (!stopsManifest) return Promise.resolve(false);
+    return loadTiles(StopSearch.tileKeysInBounds(south, west, north, east, stopsManifest.tileDeg));
+}
+
+function loadTilesNear(lat, lon, radius) {
+    const dLat = radius / 111320;
+    const dLon = radius / (111320 * Math.cos(lat * Math.PI / 180));
+    return loadTilesInBounds(lat - dLat, lon - dLon, lat + dLat, lon + dLon);
 }
 
-async function fetchRealtime(stopId) {
-    const res = await fetch(`${BASE_URL}/stops/${stopId}/realtime`);
-    if (!res.ok) throw new Error('Error fetching realtime');
-    const data = await res.json();
+// Coordinates and lines of particular stops (the current stop, bus maps, line explorer)
+function loadStopTiles(stopIds) {
+    const keys = stopIds.map(id => stopsById.get(id)).filter(Boolean).map(stop => stop.tile);
+    return loadTiles(Array.from(new Set(keys)));
+}
 
-    const now = new Date();
+// Every stop of a line, for line number searches
+function loadLineTiles(lineId) {
+    return loadTiles(searchIndex.lineTiles.get(lineId) || []);
+}
 
-    return data.map(arrival => {
-        const timeString = arrival.estimated_arrival || arrival.scheduled_arrival;
-        if (!timeString) return null;
+function hasLineTiles(lineId) {
+    return (searchIndex.lineTiles.get(lineId) || []).every(key => stopsGrid.has(key));
+}
 
-        const [h, m, s] = timeString.split(':').map(Number);
-        const arrivalDate = new Date();
-        arrivalDate.setHours(h, m, s, 0);
+function getStopsInBounds(south, west, north, east) {
+    const result = [];
+    if (!stopsManifest) return result;
+    const keys = StopSearch.tileKeysInBounds(south, west, north, east, stopsManifest.tileDeg);
 
-        if (now.getHours() > 20 && h < 4) {
-            arrivalDate.setDate(arrivalDate.getDate() + 1);
+    const collect = (bucket) => bucket.forEach(stop => {
+        if (stop.latNum >= south && stop.latNum <= north && stop.lonNum >= west && stop.lonNum <= east) {
+            result.push(stop);
         }
+    });
+
+    // Whole-region views cover more cells than are loaded, walk the buckets instead
+    if (keys.length < stopsGrid.size) {
+        keys.forEach(key => {
+            const bucket = stopsGrid.get(key);
+            if (bucket) collect(bucket);
+        });
+    } else {
+        stopsGrid.forEach(collect);
+    }
+    return result;
+}
+
+function getStopsNear(lat, lon, radius) {
+    const dLat = radius / 111320;
+    const dLon = radius / (111320 * Math.cos(lat * Math.PI / 180));
+    return getStopsInBounds(lat - dLat, lon - dLon, lat + dLat, lon + dLon)
+        .map(stop => ({ stop, distance: distanceMeters(lat, lon, stop.latNum, stop.lonNum) }))
+        .filter(({ distance }) => distance <= radius);
+}
 
-        const diffMs = arrivalDate.getTime() - now.getTime();
-        const minutes = Math.floor(diffMs / 60000);
+function fetchStopInfo(stopId, options) {
+    return ApiClient.fetchStopInfo(stopId, options);
+}
 
-        return {
-            lineId: arrival.line_id,
-            destination: arrival.headsign,
-            minutes: minutes,
-            arrivalTime: `${String(arrivalDate.getHours()).padStart(2, '0')}:${String(arrivalDate.getMinutes()).padStart(2, '0')}`,
-            isRealtime: !!arrival.estimated_arrival,
-            color: getLineColor(arrival.line_id),
-            vehicleId: arrival.vehicle_id,
-            tripId: arrival.trip_id
-        };
-    })
-        .filter(a => a !== null && a.minutes >= -1)
-        .sort((a, b) => a.minutes - b.minutes);
+function fetchRealtime(stopId, options) {
+    return Arrivals.fetchArrivals(stopId, options);
 }
 
 async function loadData(forceLoading = false) {
     // Clear existing timer immediately
     clearTimeout(refreshInterval);
 
+    // A newer load cancels this one, and a late reply for an old stop is ignored
+    const loadId = ++latestLoadId;
+    const signal = ApiClient.supersede('arrivals');
+    const loadStopId = currentStopId;
+    const isCurrent = () => loadId === latestLoadId && loadStopId === currentStopId;
+
     try {
         document.body.classList.add('updating');
+        document.getElementById('content').setAttribute('aria-busy', 'true');
         const title = document.getElementById('stop-name').innerText;
 
         // Show loading if forced or first load
@@ -162,79 +260,170 @@ async function loadData(forceLoading = false) {
         }
 
         // Determine IDs to fetch (single or group)
-        const idsToFetch = stopGroups[currentStopId] || [currentStopId];
+        const idsToFetch = getGroupStops(currentStopId);
+        const group = findUserGroup(currentStopId);
+        const stopTiles = loadStopTiles(idsToFetch);
 
         // Fetch Stop Info (Primary)
-        const stop = await fetchStopInfo(idsToFetch[0]);
+        const stop = await fetchStopInfo(idsToFetch[0], { signal });
 
-        // Parallel fetch for all stops in group
-        const results = await Promise.all(idsToFetch.map(id => fetchRealtime(id)));
-
-        // Merge and Sort
-        const mergedArrivals = results.flat().sort((a, b) => a.minutes - b.minutes);
+        // Parallel fetch for all stops in group, merged and sorted
+        const mergedArrivals = await Arrivals.fetchMerged(idsToFetch, { signal });
+        // A new stop's lines, for the filters, come with its tile
+        if (currentStopId !== previousStopId) await stopTiles;
+        if (!isCurrent()) return;
 
         // Update Header
-        const nameEl = document.getElementById('stop-name');
-        nameEl.innerText = stop.name + (idsToFetch.length > 1 ? ' + Adjacent' : '');
-        document.getElementById('stop-details').innerText = stop.locality || stop.municipality_name;
-
-        // Check for overflow to trigger marquee
-        nameEl.classList.remove('scrolling');
-        nameEl.style.removeProperty('--scroll-dist');
-
-        const overflow = nameEl.scrollWidth - nameEl.parentElement.clientWidth;
-        if (overflow > 0) {
-            // Add buffer of 20px
-            nameEl.style.setProperty('--scroll-dist', `-${overflow + 20}px`);
-            nameEl.classList.add('scrolling');
-        }
+        const name = group && group.name ? group.name : (idsToFetch.length > 1 ? I18n.t('header.adjacent', { name: stop.name }) : stop.name);
+        const details = stop.locality || stop.municipality_name;
+        updateHeader(name, details);
 
         // Update List
         cachedArrivals = mergedArrivals;
+        staleSince = null;
+        staleReason = null;
+        lastLoadedAt = Date.now();
+        saveArrivalSnapshot(currentStopId, name, details, mergedArrivals);
+        recordPunctuality(idsToFetch, mergedArrivals);
 
         // Update Filters if stop changed
         if (currentStopId !== previousStopId) {
-            const currentObj = allStops.find(s => s.stop_id === currentStopId);
-            const staticLines = currentObj ? currentObj.lines : [];
-            const arrivalLines = mergedArrivals.map(a => a.lineId);
-            // Combine unique lines
-            availableLines = Array.from(new Set([...staticLines, ...arrivalLines])).sort();
-            activeLines = new Set(availableLines);
-
-            renderLineFilters(availableLines);
-            previousStopId = currentStopId;
+            updateLineFilters(idsToFetch, mergedArrivals);
         }
 
         renderList(cachedArrivals);
+        openPendingBusMap();
+        refreshRouteEstimates(mergedArrivals);
+        announceTrackedArrivals(mergedArrivals);
 
     } catch (err) {
+        if (!isCurrent() || err.kind === 'aborted') return;
         console.error(err);
-        if (document.getElementById('stop-name').innerText === 'Carris Metropolitana') {
-            renderError('Stop not found or API error.');
+
+        // Keep showing the last good data, clearly marked, rather than a blank error
+        const snapshot = loadArrivalSnapshot(currentStopId);
+        if (snapshot) {
+            staleReason = err.kind || 'server';
+            renderSnapshot(snapshot);
+        } else {
+            // A stop that never loaded: don't leave the previous stop's header and filters up
+            if (currentStopId !== previousStopId) clearStopView();
+            renderError(getLoadErrorMessage(err));
         }
     } finally {
-        document.body.classList.remove('updating');
-        const nextRefresh = activeBusMapId ? 5000 : 15000;
-        refreshInterval = setTimeout(() => loadData(false), nextRefresh);
+        // Only the latest load owns the refresh timer
+        if (loadId === latestLoadId) {
+            document.body.classList.remove('updating');
+            document.getElementById('content').removeAttribute('aria-busy');
+            const nextRefresh = activeBusMapId ? 5000 : 15000;
+            refreshInterval = setTimeout(() => loadData(false), nextRefresh);
+            refreshMapVehicles();
+        }
+    }
+}
+
+function updateLineFilters(idsToFetch, arrivals) {
+    availableLines = Arrivals.getAvailableLines(idsToFetch, allStops, arrivals);
+    activeLines = new Set(availableLines);
+
+    // Filters restored from the URL win over the default "all lines"
+    if (pendingLineFilter) {
+        const restored = pendingLineFilter.filter(id => availableLines.includes(id));
+        if (restored.length > 0) activeLines = new Set(restored);
+        pendingLineFilter = null;
+    }
+
+    renderLineFilters(availableLines);
+    previousStopId = currentStopId;
+    syncUrl(false);
+}
+
+// --- Offline Snapshots ---
+// Last successful arrivals per stop, shown (marked stale) when the network is down
+const MAX_SNAPSHOTS = 20;
+
+function saveArrivalSnapshot(stopId, name, details, arrivals) {
+    const snapshots = loadStored('paragem.arrivals', {});
+    snapshots[stopId] = { savedAt: Date.now(), name, details, arrivals };
+
+    // Keep only the most recently refreshed stops
+    const keep = Object.keys(snapshots)
+        .sort((a, b) => snapshots[b].savedAt - snapshots[a].savedAt)
+        .slice(0, MAX_SNAPSHOTS);
+    saveStored('paragem.arrivals', Object.fromEntries(keep.map(id => [id, snapshots[id]])));
+}
+
+function loadArrivalSnapshot(stopId) {
+    return loadStored('paragem.arrivals', {})[stopId] || null;
+}
+
+function renderSnapshot(snapshot) {
+    // Countdowns moved on since the snapshot, recompute them from the absolute time
+    const arrivals = snapshot.arrivals
+        .map(a => ({ ...a, minutes: ServiceTime.minutesUntil(new Date(a.arrivalTs)) }))
+        .filter(a => a.minutes >= -1);
+
+    updateHeader(snapshot.name, snapshot.details);
+    cachedArrivals = arrivals;
+    staleSince = snapshot.savedAt;
+
+    if (currentStopId !== previousStopId) {
+        updateLineFilters(getGroupStops(currentStopId), arrivals);
     }
+    renderList(cachedArrivals);
+}
+
+function renderStaleNotice() {
+    // staleSince is device time, also when a recorded session is replayed
+    const kind = staleReason || (navigator.onLine ? 'server' : 'offline');
+    return html`<div class="stale-notice">${Arrivals.getStaleNotice(staleSince, kind, new Date())}</div>`;
 }
 
 // --- UI Rendering ---
+function updateHeader(name, details) {
+    const nameEl = document.getElementById('stop-name');
+    nameEl.innerText = name;
+    document.getElementById('stop-details').innerText = details || '';
+    updateFavouriteButton();
+
+    // Check for overflow to trigger marquee
+    nameEl.classList.remove('scrolling');
+    nameEl.style.removeProperty('--scroll-dist');
+
+    const overflow = nameEl.scrollWidth - nameEl.parentElement.clientWidth;
+    if (overflow > 0) {
+        // Add buffer of 20px
+        nameEl.style.setProperty('--scroll-dist', `-${overflow + 20}px`);
+        nameEl.classList.add('scrolling');
+    }
+}
+
 function renderLoading() {
-    document.getElementById('content').innerHTML = `
+    Render.setHtml(document.getElementById('content'), html`
         <div class="loading">
             <div class="spinner"></div>
-            <div>Updating arrivals...</div>
+            <div>${I18n.t('list.loading')}</div>
         </div>
-    `;
+    `);
+}
+
+// Header from local data only, no filters until the stop loads (which rebuilds them)
+function clearStopView() {
+    const stop = stopsById.get(currentStopId);
+    updateHeader(getStopLabel(currentStopId), stop ? stop.locality : '');
+    cachedArrivals = [];
+    availableLines = [];
+    activeLines = new Set();
+    renderLineFilters(availableLines);
+    previousStopId = null;
 }
 
 function renderError(msg) {
-    document.getElementById('content').innerHTML = `<div class="error">${msg}</div>`;
+    Render.setHtml(document.getElementById('content'), html`<div class="error">${msg}</div>`);
 }
 
 function renderEmpty() {
-    document.getElementById('content').innerHTML = `<div class="empty">No buses arriving soon.</div>`;
+    Render.setHtml(document.getElementById('content'), html`<div class="empty">${I18n.t('list.empty')}</div>`);
 }
 
 function renderList(arrivals) {
@@ -251,60 +440,104 @@ function renderList(arrivals) {
     }
 
     const filteredArrivals = arrivals.filter(bus => activeLines.has(bus.lineId));
+    const focusKey = captureFocus(container);
+    const isMerged = getGroupStops(currentStopId).length > 1;
+    const staleHtml = staleSince ? renderStaleNotice() : '';
 
     if (filteredArrivals.length === 0) {
         if (arrivals.length > 0) {
-            container.innerHTML = `<div class="empty">All lines filtered out.</div>`;
+            Render.setHtml(container, html`<div class="empty">${I18n.t('list.filteredOut')}</div>`);
         } else {
             renderEmpty();
         }
+        container.insertAdjacentHTML('afterbegin', String(staleHtml));
         // If we filtered everything out, we close the map to avoid ghosts
         if (activeBusMap) { activeBusMap.remove(); activeBusMap = null; activeBusMapId = null; }
+        syncUrl(false);
         return;
     }
 
     const ul = document.createElement('ul');
     ul.id = 'arrivals-list';
 
-    filteredArrivals.forEach((bus) => {
+    // Wall screens show a fixed number of rows
+    const shownArrivals = kiosk ? filteredArrivals.slice(0, kiosk.rows) : filteredArrivals;
+
+    shownArrivals.forEach((bus) => {
         const li = document.createElement('li');
         li.className = 'arrival-item';
 
         const vehicleTag = bus.vehicleId
-            ? `<span class="vehicle-tag">#${bus.vehicleId.split('|')[1] || bus.vehicleId}</span>`
+            ? html`<span class="vehicle-tag">#${bus.vehicleId.split('|')[1] || bus.vehicleId}</span>`
             : '';
 
-        li.innerHTML = `
-            <div class="arrival-row" onclick="toggleBusMap(this, '${bus.tripId || ''}', '${bus.lineId}', '${bus.vehicleId || ''}')">
-                <div class="line-info">
-                    <div class="line-number" style="background-color: ${bus.color}">
-                        ${bus.lineId}
-                    </div>
-                    <div class="destination-info">
-                        <div class="destination">${bus.destination}</div>
-                        <div>
+        // In merged views, tell which platform the bus calls at
+        const memberStop = isMerged ? allStops.find(s => s.stop_id === bus.stopId) : null;
+        const stopTag = isMerged
+            ? html`<span class="vehicle-tag stop-tag">@ ${memberStop ? memberStop.name : bus.stopId}</span>`
+            : '';
+
+        const rowKey = `${bus.stopId}|${bus.tripId || bus.lineId}`;
+
+        // Trip, line, vehicle and stop for the row's actions
+        const busData = html`data-trip-id="${bus.tripId || ''}" data-line-id="${bus.lineId}" data-vehicle-id="${bus.vehicleId || ''}" data-stop-id="${bus.stopId}"`;
+
+        Render.setHtml(li, html`
+            <div class="arrival-row">
+                <button class="line-number" style="background-color: ${bus.color}"
+                        aria-label="${I18n.t('a11y.openLine', { lineId: bus.lineId })}" data-focus-key="line:${rowKey}"
+                        data-action="open-line" data-line-id="${bus.lineId}">
+                    ${bus.lineId}
+                </button>
+                <button class="arrival-main" aria-label="${arrivalLabel(bus)}" data-focus-key="row:${rowKey}"
+                        ${bus.vehicleId ? html`aria-controls="bus-map-${bus.tripId || 'unknown'}" aria-expanded="false"` : ''}
+                        data-action="toggle-bus-map" ${busData}>
+                    <span class="destination-info">
+                        <span class="destination">${bus.destination}</span>
+                        <span>
                             <span class="status-badge ${bus.isRealtime ? 'status-live' : 'status-est'}">
-                                ${bus.isRealtime ? 'LIVE' : 'EST'}
+                                ${I18n.t(bus.isRealtime ? 'arrival.live' : 'arrival.est')}
                             </span>
                             ${vehicleTag}
-                        </div>
-                    </div>
-                </div>
-                <div class="time-display">
-                    <div class="time-val ${(!showAbsoluteTime && bus.minutes <= 0) ? 'animate-pulse' : ''}" 
-                         style="color: #ffcd00; font-size: ${showAbsoluteTime ? '16px' : '20px'}">
-                        ${showAbsoluteTime ? bus.arrivalTime : (bus.minutes <= 0 ? 'AGORA' : bus.minutes)}
-                    </div>
-                    <div class="time-unit">${showAbsoluteTime ? '' : (bus.minutes <= 0 ? '' : 'min')}</div>
-                </div>
+                            ${stopTag}
+                        </span>
+                    </span>
+                    ${bus.isRealtime && bus.vehicleId ? html`
+                        <span class="route-estimate" data-vehicle-id="${bus.vehicleId}" data-minutes="${bus.minutes}">${routeEstimateHtml(bus.vehicleId, bus.minutes)}</span>
+                    ` : ''}
+                    <span class="time-display">
+                        <span class="time-val ${(!showAbsoluteTime && bus.minutes <= 0) ? 'animate-pulse' : ''}" 
+                              style="color: #ffcd00; font-size: ${showAbsoluteTime ? '16px' : '20px'}">
+                            ${showAbsoluteTime ? bus.arrivalTime : (bus.minutes <= 0 ? I18n.t('arrival.now') : bus.minutes)}
+                        </span>
+                        <span class="time-unit">${showAbsoluteTime ? '' : (bus.minutes <= 0 ? '' : I18n.t('arrival.min'))}</span>
+                    </span>
+                </button>
+                <button class="alert-btn trip-btn" title="${I18n.t('arrival.tripDetails')}" aria-label="${I18n.t('arrival.tripDetails')}"
+                        data-focus-key="trip:${rowKey}" data-action="open-trip" ${busData}>
+                    ☰
+                </button>
+                <button class="alert-btn ${hasAlertFor(bus) ? 'active' : ''}" title="${I18n.t('arrival.alertMe')}" aria-label="${I18n.t('arrival.alertMe')}"
+                        data-focus-key="alert:${rowKey}" data-action="open-alert" ${busData}>
+                    🔔
+                </button>
             </div>
             <div id="bus-map-${bus.tripId || 'unknown'}" class="bus-map-container"></div>
-        `;
+        `);
         ul.appendChild(li);
     });
 
-    container.innerHTML = '';
+    if (kiosk) {
+        for (let i = shownArrivals.length; i < kiosk.rows; i++) {
+            const li = document.createElement('li');
+            li.className = 'arrival-item kiosk-filler';
+            ul.appendChild(li);
+        }
+    }
+
+    Render.setHtml(container, staleHtml);
     container.appendChild(ul);
+    restoreFocus(ul, focusKey);
 
     // Restore active map
     if (preservedMapEl && preservedMapId) {
@@ -316,6 +549,7 @@ function renderList(arrivals) {
             if (mapContainer) {
                 // Re-attach the existing map element
                 mapContainer.classList.add('open');
+                setBusMapExpanded(mapContainer, true);
                 mapContainer.appendChild(preservedMapEl);
                 // Important: Leaflet map needs to know it's back in the DOM and possibly resized
                 activeBusMap.invalidateSize();
@@ -325,6 +559,7 @@ function renderList(arrivals) {
         } else {
             // Selected bus is no longer in the list (departed or filtered)
             if (activeBusMap) { activeBusMap.remove(); activeBusMap = null; activeBusMapId = null; }
+            syncUrl(false);
         }
     }
 
@@ -360,9 +595,7 @@ async function updateBusPosition(vehicleId, lineId) {
 
     // We can assume vehicles are cached or fetch fresh
     const vehicles = await getVehicles();
-    const vehicle = vehicles.find(v => v.id === vehicleId) ||
-        vehicles.find(v => v.id && vehicleId.endsWith(v.id)) ||
-        vehicles.find(v => v.id && v.id.endsWith(vehicleId));
+    const vehicle = findVehicle(vehicles, vehicleId);
 
     if (!vehicle) return;
 
@@ -375,8 +608,9 @@ async function updateBusPosition(vehicleId, lineId) {
         const bounds = new L.LatLngBounds();
         bounds.extend([vehicle.lat, vehicle.lon]);
 
-        const stop = allStops.find(s => s.stop_id === currentStopId);
-        if (stop) {
+        const stopId = getArrivalStopId(vehicleId);
+        const stop = stopsById.get(stopId);
+        if (stop && stop.latNum !== undefined) {
             bounds.extend([stop.lat, stop.lon]);
             // Use fitBounds to show both
             // Auto-refresh fits stop and bus
@@ -396,87 +630,86 @@ async function updateBusPosition(vehicleId, lineId) {
     }
 
     // Update markers
-    let busMarker = null;
-    let pathLine = null;
-
-    activeBusMap.eachLayer(layer => {
-        if (layer instanceof L.Marker && layer.options.icon?.options?.className === 'bus-marker-icon') {
-            busMarker = layer;
-        }
-        if (layer instanceof L.Polyline && layer.options.dashArray) {
-            pathLine = layer;
-        }
-    });
-
-    if (busMarker) {
-        busMarker.setLatLng([vehicle.lat, vehicle.lon]);
-
-        // Update rotation
-        const bearing = vehicle.bearing || 0;
+    if (busTrack && busTrack.map === activeBusMap) {
+        const busMarker = busTrack.marker;
         const color = getLineColor(lineId);
-
-        const newIcon = L.divIcon({
-            className: 'bus-marker-icon',
-            html: `
-                <div style="transform: rotate(${bearing}deg); width: 24px; height: 24px; display: flex; align-items: center; justify-content: center;">
-                    <svg width="20" height="24" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg" style="filter: drop-shadow(0 2px 4px rgba(0,0,0,0.3));">
-                        <path d="M12 2L4.5 20L12 17L19.5 20L12 2Z" fill="${color}" stroke="white" stroke-width="2" stroke-linejoin="round"/>
-                    </svg>
-                </div>`,
-            iconSize: [24, 24],
-            iconAnchor: [12, 12]
-        });
-
-        busMarker.setIcon(newIcon);
+        moveBusTrack(busTrack, vehicle);
 
         // Update popup info with stops away
         if (vehicle.pattern_id && patternsCache.has(vehicle.pattern_id) && vehicle.current_stop_sequence) {
             const pattern = patternsCache.get(vehicle.pattern_id);
-            let stopsInfo = '';
+            let stopsInfo = null;
             if (pattern && pattern.path) {
-                const stopNode = pattern.path.find(p => p.stop_id === currentStopId);
+                const stopNode = pattern.path.find(p => p.stop_id === getArrivalStopId(vehicleId));
                 if (stopNode) {
                     const stopsAway = stopNode.stop_sequence - vehicle.current_stop_sequence;
-                    stopsInfo = stopsAway >= 0
-                        ? `<div style="margin-top:4px; font-weight:700; color:${color}">${stopsAway} stops away</div>`
-                        : `<div style="margin-top:4px; font-weight:700; color:#ef4444">Vehicle passed</div>`;
+                    stopsInfo = stopsAwayHtml(stopsAway, color);
                 }
             }
             busMarker.setPopupContent(getPopupHtml(vehicle, stopsInfo));
         } else {
             // Basic update if pattern not ready
-            busMarker.setPopupContent(getPopupHtml(vehicle, ''));
-        }
-    }
-
-    if (pathLine) {
-        // 0 is bus, 1 is stop. Update 0.
-        const latLngs = pathLine.getLatLngs();
-        if (latLngs.length >= 2) {
-            // Keep stop position (index -1 or 1), update bus (0)
-            latLngs[0] = [vehicle.lat, vehicle.lon];
-            pathLine.setLatLngs(latLngs);
+            busMarker.setPopupContent(getPopupHtml(vehicle, null));
         }
     }
 }
 
-function renderSuggestions(matches) {
-    if (matches.length === 0) {
-        suggestionsList.classList.remove('show');
+function renderSuggestions(matches, headerHtml = null, lineId = null) {
+    if (matches.length === 0 && !headerHtml) {
+        setSuggestionsOpen(false);
         return;
     }
 
-    suggestionsList.innerHTML = matches.map(stop => `
-        <div class="suggestion-item" onclick="selectStop('${stop.stop_id}', '${stop.name.replace(/'/g, "\\'")}')">
+    Render.setHtml(suggestionsList, html`${headerHtml}${matches.map((stop, i) => html`
+        <div class="suggestion-item" role="option" id="suggestion-stop-${i}" aria-selected="false"
+             data-action="select-stop" data-stop-id="${stop.stop_id}" data-stop-name="${stop.name}">
             <div class="suggestion-info">
                 <div class="suggestion-name">${stop.name}</div>
                 <div class="suggestion-detail" style="font-size: 11px; color:#64748b;">${stop.locality || ''}</div>
+                ${lineId ? renderLineBadges(stop.lines, lineId) : ''}
             </div>
             <span class="suggestion-id">${stop.stop_id}</span>
+            <button class="fav-star ${isFavourite(stop.stop_id) ? 'active' : ''}" tabindex="-1"
+                    aria-label="${I18n.t('header.favourite')}" aria-pressed="${isFavourite(stop.stop_id)}"
+                    data-action="toggle-favourite" data-stop-id="${stop.stop_id}">
+                ${isFavourite(stop.stop_id) ? '★' : '☆'}
+            </button>
         </div>
-    `).join('');
+    `)}`);
 
-    suggestionsList.classList.add('show');
+    setSuggestionsOpen(true);
+}
+
+// Small coloured badges, the searched line first and highlighted
+function renderLineBadges(lines, highlightId) {
+    const ordered = [highlightId, ...lines.filter(id => id !== highlightId)];
+    return html`<div class="suggestion-lines">
+        ${ordered.map(id => html`<span class="suggestion-line ${id === highlightId ? 'highlight' : ''}" style="background-color: ${getLineColor(id)}">${id}</span>`)}
+    </div>`;
+}
+
+function renderSearchHeader(query) {
+    const lineId = parseLineQuery(query);
+    if (lineId) {
+        const count = (searchIndex.lineStops.get(lineId) || []).length;
+        return html`
+            <div class="suggestion-item suggestion-header" role="option" aria-disabled="true">
+                <span class="line-number suggestion-line-number" style="background-color: ${getLineColor(lineId)}">${lineId}</span>
+                <span class="suggestion-detail">${I18n.t('search.lineStops', { count, lineId })}</span>
+            </div>`;
+    }
+
+    const localities = findLocalities(query);
+    if (localities.length === 0) return null;
+    return localities.map((loc, i) => html`
+        <div class="suggestion-item suggestion-header" role="option" id="suggestion-locality-${i}" aria-selected="false"
+             data-action="set-locality" data-locality="${loc.key}">
+            <div class="suggestion-info">
+                <div class="suggestion-name">📍 ${loc.name}</div>
+                <div class="suggestion-detail" style="font-size: 11px; color:#64748b;">${I18n.t('search.localityFilter', { count: loc.count })}</div>
+            </div>
+        </div>
+    `);
 }
 
 function renderLineFilters(lines) {
@@ -485,32 +718,77 @@ function renderLineFilters(lines) {
         container.innerHTML = '';
         return;
     }
+    const focusKey = captureFocus(container);
 
     const filtersHtml = lines.map(lineId => {
         const isActive = activeLines.has(lineId);
         const color = getLineColor(lineId);
-        return `<div class="line-filter-badge ${isActive ? '' : 'inactive'}" 
+        return html`<button type="button" class="line-filter-badge ${isActive ? '' : 'inactive'}" 
                      style="${isActive ? `background-color: ${color}` : ''}"
-                     onclick="toggleLineFilter('${lineId}')">
+                     title="${I18n.t('filters.hint')}"
+                     aria-label="${I18n.t('a11y.filterLine', { lineId })}" aria-pressed="${isActive}"
+                     aria-keyshortcuts="Shift+Enter"
+                     data-line-id="${lineId}" data-focus-key="filter:${lineId}"
+                     data-action="toggle-line-filter">
                     ${lineId}
-                </div>`;
-    }).join('');
+                </button>`;
+    });
 
     // Reset/Select All Button
-    const resetHtml = `
-        <div class="line-filter-badge" 
+    const resetHtml = html`
+        <button type="button" class="line-filter-badge" 
              style="background-color: #64748b; display: flex; align-items: center; justify-content: center; width: 34px; padding: 0;"
-             title="Select All"
-             onclick="resetLineFilters()">
+             title="${I18n.t('filters.selectAll')}" aria-label="${I18n.t('filters.selectAll')}" data-focus-key="filter:all"
+             data-action="reset-line-filters">
             <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="white" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round">
                 <polyline points="1 4 1 10 7 10"></polyline>
                 <path d="M3.51 15a9 9 0 1 0 2.13-9.36L1 10"></path>
                 <polyline points="12 6 12 12 16 14"></polyline>
             </svg>
-        </div>
+        </button>
     `;
 
-    container.innerHTML = filtersHtml + resetHtml;
+    Render.setHtml(container, html`${filtersHtml}${resetHtml}`);
+    restoreFocus(container, focusKey);
+}
+
+// Holding a filter badge (or Shift+Enter / the menu key on it) opens the line instead of toggling it
+const LONG_PRESS_MS = 500;
+let longPressTimer = null;
+let longPressFired = false;
+
+function setupLineFilterOpenLine() {
+    const container = document.getElementById('line-filters');
+    const start = (e) => {
+        const badge = e.target.closest('[data-line-id]');
+        if (!badge) return;
+        longPressFired = false;
+        longPressTimer = setTimeout(() => {
+            longPressFired = true;
+            openLineExplorer(badge.dataset.lineId);
+        }, LONG_PRESS_MS);
+    };
+    const cancel = () => clearTimeout(longPressTimer);
+
+    container.addEventListener('pointerdown', start);
+    ['pointerup', 'pointerleave', 'pointercancel'].forEach(type => container.addEventListener(type, cancel));
+    container.addEventListener('contextmenu', (e) => {
+        if (e.target.closest('[data-line-id]')) e.preventDefault();
+    });
+    // Swallow the click that ends a long press
+    container.addEventListener('click', (e) => {
+        if (longPressFired) {
+            e.stopPropagation();
+            longPressFired = false;
+        }
+    }, true);
+    container.addEventListener('keydown', (e) => {
+        const badge = e.target.closest('[data-line-id]');
+        const openKey = (e.key === 'Enter' && e.shiftKey) || e.key === 'ContextMenu' || (e.key === 'F10' && e.shiftKey);
+        if (!badge || !openKey) return;
+        e.preventDefault();
+        openLineExplorer(badge.dataset.lineId);
+    });
 }
 
 window.toggleLineFilter = function (lineId) {
@@ -532,279 +810,1275 @@ window.toggleLineFilter = function (lineId) {
 
     renderLineFilters(availableLines);
     renderList(cachedArrivals);
+    syncUrl(false);
 };
 
 window.resetLineFilters = function () {
     availableLines.forEach(id => activeLines.add(id));
     renderLineFilters(availableLines);
     renderList(cachedArrivals);
+    syncUrl(false);
 };
 
 // --- Interaction Functions ---
+function setCurrentStop(id) {
+    currentStopId = id;
+    addRecentStop(id);
+    syncUrl(true);
+    loadData(true);
+}
+
 function quickSelect(id) {
     const stop = allStops.find(s => s.stop_id === id);
     searchInput.value = stop ? stop.name : id;
-    currentStopId = id;
-    loadData(true);
+    setCurrentStop(id);
 }
 
 window.selectStop = function (id, name) {
     searchInput.value = name;
-    currentStopId = id;
-    suggestionsList.classList.remove('show');
-    toggleSearch();
-    loadData(true);
+    setSuggestionsOpen(false);
+    // Also reached from the map and the near-me list, where search is closed
+    if (document.getElementById('search-form').classList.contains('show')) toggleSearch();
+    if (nearMeActive) toggleNearMe();
+    setCurrentStop(id);
 };
 
-function toggleViewMode() {
-    showAbsoluteTime = !showAbsoluteTime;
-    const toggle = document.getElementById('view-toggle');
-    if (showAbsoluteTime) {
-        toggle.classList.add('show-time');
-    } else {
-        toggle.classList.remove('show-time');
-    }
-    renderList(cachedArrivals);
+// --- Favourites & Recents ---
+function isFavourite(id) {
+    return favourites.some(f => f.id === id);
 }
 
-function toggleSearch() {
-    const form = document.getElementById('search-form');
-    const filters = document.getElementById('line-filters');
-    const btn = document.getElementById('btn-search');
-    form.classList.toggle('show');
-    filters.classList.toggle('show');
+function getStopLabel(id) {
+    const fav = favourites.find(f => f.id === id);
+    if (fav) return fav.name;
+    const group = findUserGroup(id);
+    if (group && group.name) return group.name;
+    const stopId = group ? group.stops[0] : id;
+    const stop = allStops.find(s => s.stop_id === stopId);
+    const name = stop ? stop.name : stopId;
+    return group ? I18n.t('header.adjacent', { name }) : name;
+}
 
-    if (form.classList.contains('show')) {
-        searchInput.focus();
-        btn.style.backgroundColor = 'var(--primary)';
-        btn.style.color = 'white';
-        btn.style.borderColor = 'var(--primary)';
-    } else {
-        btn.style.backgroundColor = '';
-        btn.style.color = '';
-        btn.style.borderColor = '';
+function addRecentStop(id) {
+    recentStops = [id, ...recentStops.filter(r => r !== id)].slice(0, MAX_RECENT_STOPS);
+    saveStored('paragem.recents', recentStops);
+    renderQuickActions();
+}
+
+function saveFavourites() {
+    saveStored('paragem.favourites', favourites);
+    sendShortcuts();
+    renderQuickActions();
+    updateFavouriteButton();
+    if (document.getElementById('favourites-panel').classList.contains('show')) {
+        renderFavouritesPanel();
     }
 }
 
-// --- Event Listeners ---
-searchInput.addEventListener('input', debounce((e) => {
-    const query = e.target.value.toLowerCase().trim();
-    if (query.length < 2) {
-        suggestionsList.classList.remove('show');
-        return;
+window.toggleFavourite = function (id, el) {
+    if (isFavourite(id)) {
+        favourites = favourites.filter(f => f.id !== id);
+    } else {
+        let name = getStopLabel(id);
+        if (name === id && id === currentStopId) name = document.getElementById('stop-name').innerText;
+        favourites.push({ id, name });
     }
+    saveFavourites();
 
-    if (!allStops.length) return;
+    // Star buttons inside suggestions/popups are not re-rendered, update in place
+    if (el) {
+        el.innerText = isFavourite(id) ? '★' : '☆';
+        el.classList.toggle('active', isFavourite(id));
+    }
+};
 
-    const matches = allStops.filter(stop =>
-        stop.name.toLowerCase().includes(query) ||
-        stop.stop_id.includes(query) ||
-        (stop.tts_name && stop.tts_name.toLowerCase().includes(query))
-    ).slice(0, 50);
+window.renameFavourite = function (index, name) {
+    const trimmed = name.trim();
+    if (!favourites[index] || !trimmed) return;
+    favourites[index].name = trimmed;
+    saveFavourites();
+};
 
-    renderSuggestions(matches);
-}, 300));
+window.moveFavourite = function (index, delta) {
+    const target = index + delta;
+    if (target < 0 || target >= favourites.length) return;
+    [favourites[index], favourites[target]] = [favourites[target], favourites[index]];
+    saveFavourites();
+};
 
-document.getElementById('search-form').addEventListener('submit', (e) => {
-    e.preventDefault();
-    const val = searchInput.value.trim();
-    if (!val) return;
+window.removeFavourite = function (index) {
+    favourites.splice(index, 1);
+    saveFavourites();
+};
 
-    // 1. Direct ID
-    if (/^\d{6}$/.test(val)) {
-        currentStopId = val;
-        loadData(true);
-        toggleSearch();
-        return;
-    }
+function updateFavouriteButton() {
+    const btn = document.getElementById('fav-toggle');
+    const active = isFavourite(currentStopId);
+    btn.innerText = active ? '★' : '☆';
+    btn.classList.toggle('active', active);
+}
 
-    if (!allStops.length) {
-        alert("Stop data not loaded yet. Please wait.");
-        return;
-    }
+function renderQuickActions() {
+    const container = document.getElementById('quick-stops');
 
-    // 2. Exact match
-    const exactMatch = allStops.find(s => s.name.toLowerCase() === val.toLowerCase() || s.stop_id === val);
-    if (exactMatch) {
-        currentStopId = exactMatch.stop_id;
-        loadData(true);
-        toggleSearch();
-    } else {
-        // 3. Fuzzy fallback
-        const bestMatch = allStops.find(s => s.name.toLowerCase().includes(val.toLowerCase()));
-        if (bestMatch) {
-            currentStopId = bestMatch.stop_id;
-            searchInput.value = bestMatch.name;
-            loadData(true);
-            toggleSearch();
-        } else {
-            alert("Paragem não encontrada. Tente selecionar da lista.");
-        }
-    }
-});
+    const favHtml = favourites.map(f =>
+        html`<button class="quick-btn" data-action="quick-select" data-stop-id="${f.id}">★ ${f.name}</button>`
+    );
 
-document.addEventListener('click', (e) => {
-    if (!e.target.closest('.search-input-wrapper')) {
-        suggestionsList.classList.remove('show');
-    }
-});
+    const recentHtml = recentStops
+        .filter(id => !isFavourite(id))
+        .map(id => html`<button class="quick-btn quick-btn-recent" data-action="quick-select" data-stop-id="${id}">🕘 ${getStopLabel(id)}</button>`);
 
-// --- Map Logic ---
-let map = null;
-let stopsLayer = null;
+    const groupsHtml = userGroups
+        .filter(g => !isFavourite(g.id) && !recentStops.includes(g.id))
+        .map(g => html`<button class="quick-btn" data-action="quick-select" data-stop-id="${g.id}">⧉ ${g.name}</button>`);
 
-function toggleMap() {
-    const modal = document.getElementById('map-modal');
-    const isShowing = modal.classList.toggle('show');
+    const editHtml = favourites.length > 0
+        ? html`<button class="quick-btn" data-action="toggle-favourites-panel" title="${I18n.t('quick.editFavourites')}">✏️</button>`
+        : '';
 
-    if (isShowing) {
-        if (!map) {
-            setTimeout(initMap, 100);
-        } else {
-            setTimeout(() => {
-                map.invalidateSize();
-                updateMapMarkers();
-            }, 100);
-        }
-    }
+    Render.setHtml(container, html`${favHtml}${recentHtml}${groupsHtml}${editHtml}`);
 }
 
-function initMap() {
-    // Default to Lisbon
-    const defaultCenter = [38.722, -9.139];
+window.toggleFavouritesPanel = function () {
+    const panel = document.getElementById('favourites-panel');
+    if (panel.classList.toggle('show')) {
+        renderFavouritesPanel();
+    }
+};
 
-    // Performance optimization: preferCanvas
-    map = L.map('map', {
-        preferCanvas: true
-    }).setView(defaultCenter, 13);
+function renderFavouritesPanel() {
+    const panel = document.getElementById('favourites-panel');
+    panel.innerHTML = '';
 
-    L.tileLayer('https://{s}.basemaps.cartocdn.com/rastertiles/voyager/{z}/{x}/{y}{r}.png', {
-        attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors &copy; <a href="https://carto.com/attributions">CARTO</a>',
-        subdomains: 'abcd',
-        maxZoom: 20
-    }).addTo(map);
+    if (favourites.length === 0) {
+        Render.setHtml(panel, html`<div class="empty">${I18n.t('favourites.empty')}</div>`);
+        return;
+    }
 
-    stopsLayer = L.layerGroup().addTo(map);
+    favourites.forEach((fav, index) => {
+        const row = document.createElement('div');
+        row.className = 'favourite-row';
+
+        // Built with DOM nodes so custom names never need escaping
+        const input = document.createElement('input');
+        input.value = fav.name;
+        input.onchange = () => renameFavourite(index, input.value);
+
+        const id = document.createElement('span');
+        id.className = 'suggestion-id';
+        id.innerText = fav.id;
+
+        row.appendChild(input);
+        row.appendChild(id);
+
+        [['▲', () => moveFavourite(index, -1)], ['▼', () => moveFavourite(index, 1)], ['✕', () => removeFavourite(index)]]
+            .forEach(([label, action]) => {
+                const btn = document.createElement('button');
+                btn.className = 'favourite-action';
+                btn.innerText = label;
+                btn.onclick = action;
+                row.appendChild(btn);
+            });
 
-    map.on('moveend', updateMapMarkers);
+        panel.appendChild(row);
+    });
+}
 
-    // Add current location button or auto-locate
-    if (navigator.geolocation) {
-        navigator.geolocation.getCurrentPosition(
-            (pos) => {
-                const { latitude, longitude } = pos.coords;
-                L.circleMarker([latitude, longitude], {
-                    radius: 8,
-                    fillColor: "#4285F4",
-                    color: "#ffffff",
-                    weight: 2,
-                    opacity: 1,
-                    fillOpacity: 1
-                }).addTo(map).bindPopup("You are here");
+// --- Arrival Alerts ---
+const ALERT_POLL_MS = 20000;
+const ALERT_MAX_MISSES = 3; // polls without the trip before giving up
 
-                map.setView([latitude, longitude], 15);
-            },
-            (err) => console.warn("Geolocation denied or error", err),
-            { timeout: 5000 }
-        );
-    }
+let arrivalAlerts = loadStored('paragem.alerts', []);
+let alertPollTimer = null;
+let alertDraft = null;
 
-    updateMapMarkers();
+function hasAlertFor(bus) {
+    return arrivalAlerts.some(a => (a.tripId && a.tripId === bus.tripId) || (!a.tripId && a.lineId === bus.lineId && a.stopIds.includes(bus.stopId)));
 }
 
-function updateMapMarkers() {
-    if (!map || !allStops || allStops.length === 0) return;
+function saveAlerts() {
+    saveStored('paragem.alerts', arrivalAlerts);
+    renderAlertsIndicator();
+}
 
-    const zoom = map.getZoom();
-    const messageEl = document.getElementById('map-message');
+window.openAlertSheet = function (tripId, lineId, vehicleId, stopId) {
+    const bus = cachedArrivals.find(b => b.tripId === tripId && b.lineId === lineId) ||
+        cachedArrivals.find(b => b.lineId === lineId);
+    alertDraft = {
+        tripId: tripId || null,
+        lineId,
+        vehicleId: vehicleId || null,
+        stopId,
+        destination: bus ? bus.destination : '',
+        scope: tripId ? 'trip' : 'line'
+    };
+    renderAlertSheet();
+    document.getElementById('alert-sheet').classList.add('show');
+};
 
-    // Threshold: Only show markers if zoomed in enough (level 14+)
-    // or if the visible area contains a manageable number of stops (e.g. < 500)
-    // Checking 15k stops against bounds is fast (~5ms).
+window.closeAlertSheet = function () {
+    alertDraft = null;
+    document.getElementById('alert-sheet').classList.remove('show');
+};
 
-    if (zoom < 14) {
-        stopsLayer.clearLayers();
-        messageEl.classList.add('visible');
-        messageEl.innerText = "Zoom in to see stops";
+function renderAlertSheet() {
+    const sheet = document.getElementById('alert-sheet');
+    const vehicleLabel = alertDraft.vehicleId ? ` #${alertDraft.vehicleId.split('|')[1] || alertDraft.vehicleId}` : '';
+    const canTrackStops = !!alertDraft.vehicleId;
+
+    Render.setHtml(sheet, html`
+        <div class="alert-sheet-card">
+            <div class="alert-sheet-title">
+                <span class="line-number suggestion-line-number" style="background-color: ${getLineColor(alertDraft.lineId)}">${alertDraft.lineId}</span>
+                <span class="destination">${alertDraft.destination}</span>
+            </div>
+            <label class="alert-option">
+                <input type="radio" name="alert-scope" value="trip" ${alertDraft.scope === 'trip' ? 'checked' : ''} ${alertDraft.tripId ? '' : 'disabled'}>
+                ${I18n.t('alert.thisBus')}${vehicleLabel}
+            </label>
+            <label class="alert-option">
+                <input type="radio" name="alert-scope" value="line" ${alertDraft.scope === 'line' ? 'checked' : ''}>
+                ${I18n.t('alert.nextOfLine', { lineId: alertDraft.lineId })}
+            </label>
+            <div class="alert-threshold">
+                ${I18n.t('alert.at')}
+                <input type="number" id="alert-threshold" min="0" max="60" value="5">
+                <select id="alert-mode">
+                    <option value="minutes">${I18n.t('alert.minutesOption')}</option>
+                    <option value="stops" ${canTrackStops ? '' : 'disabled'}>${I18n.t('alert.stopsOption')}</option>
+                </select>
+            </div>
+            <div class="alert-actions">
+                <button class="quick-btn" data-action="close-alert-sheet">${I18n.t('alert.cancel')}</button>
+                <button class="search-btn" data-action="create-alert">${I18n.t('alert.set')}</button>
+            </div>
+        </div>
+    `);
+}
+
+window.createAlertFromSheet = function () {
+    const scope = document.querySelector('input[name="alert-scope"]:checked').value;
+    const mode = document.getElementById('alert-mode').value;
+    const threshold = Math.max(0, parseInt(document.getElementById('alert-threshold').value, 10) || 0);
+    const isTrip = scope === 'trip';
+
+    arrivalAlerts.push({
+        id: `a${Date.now().toString(36)}`,
+        stopId: currentStopId,
+        // A single bus calls at one platform, a line alert watches the whole group
+        stopIds: isTrip ? [alertDraft.stopId] : getGroupStops(currentStopId),
+        stopName: document.getElementById('stop-name').innerText,
+        lineId: alertDraft.lineId,
+        destination: alertDraft.destination,
+        tripId: isTrip ? alertDraft.tripId : null,
+        vehicleId: isTrip ? alertDraft.vehicleId : null,
+        mode: isTrip ? mode : 'minutes',
+        threshold,
+        status: 'waiting',
+        lastMinutes: null,
+        misses: 0
+    });
+    saveAlerts();
+    closeAlertSheet();
+    renderList(cachedArrivals);
+
+    if ('Notification' in window && Notification.permission === 'default') {
+        Notification.requestPermission();
+    }
+    pollAlerts();
+};
+
+window.cancelAlert = function (id) {
+    arrivalAlerts = arrivalAlerts.filter(a => a.id !== id);
+    saveAlerts();
+    renderAlertsPanel();
+    renderList(cachedArrivals);
+};
+
+function fireAlert(alert, message) {
+    const title = `${alert.lineId} → ${alert.destination}`;
+    const body = `${message} · ${alert.stopName}`;
+
+    if (navigator.vibrate) navigator.vibrate([300, 100, 300, 100, 300]);
+
+    if ('Notification' in window && Notification.permission === 'granted') {
+        // Mobile browsers only show notifications through the service worker
+        const options = { body, tag: alert.id, icon: 'icon.svg', renotify: true };
+        if (navigator.serviceWorker && navigator.serviceWorker.controller) {
+            navigator.serviceWorker.ready.then(reg => reg.showNotification(title, options));
+        } else {
+            new Notification(title, options);
+        }
+    } else {
+        showAlertBanner(title, body);
+    }
+    announce(`${title}. ${body}`);
+
+    arrivalAlerts = arrivalAlerts.filter(a => a.id !== alert.id);
+}
+
+// Without notification permission the alert shows in the page; nothing modal, so
+// refreshes and the other alerts keep running underneath
+function showAlertBanner(title, body) {
+    const banner = document.getElementById('alert-banner');
+    Render.setHtml(banner, html`
+        <div class="alert-banner-text">
+            <b>${title}</b>
+            <span>${body}</span>
+        </div>
+        <button class="favourite-action" aria-label="${I18n.t('alert.dismiss')}" data-action="dismiss-alert-banner">✕</button>
+    `);
+    banner.classList.add('show');
+}
+
+function dismissAlertBanner() {
+    document.getElementById('alert-banner').classList.remove('show');
+}
+
+async function getStopsAway(vehicleId, stopId) {
+    const vehicle = findVehicle(await getVehicles(), vehicleId);
+    if (!vehicle || !vehicle.pattern_id || !vehicle.current_stop_sequence) return null;
+
+    const pattern = await getPattern(vehicle.pattern_id);
+    const stopNode = pattern && pattern.path ? pattern.path.find(p => p.stop_id === stopId) : null;
+    return stopNode ? stopNode.stop_sequence - vehicle.current_stop_sequence : null;
+}
+
+async function checkAlert(alert) {
+    const results = await Promise.all(alert.stopIds.map(id => fetchRealtime(id)));
+    const arrivals = results.flat();
+
+    let match;
+    if (alert.tripId) {
+        match = arrivals.find(a => a.tripId === alert.tripId) ||
+            (alert.vehicleId && arrivals.find(a => a.vehicleId === alert.vehicleId && a.lineId === alert.lineId));
+    } else {
+        match = arrivals
+            .filter(a => a.lineId === alert.lineId && a.minutes >= 0)
+            .sort((a, b) => a.minutes - b.minutes)[0];
+    }
+
+    if (!match) {
+        // Gone right after being due means it arrived, otherwise it vanished from the feed
+        if (alert.lastMinutes !== null && alert.lastMinutes <= 1) {
+            fireAlert(alert, I18n.t('alert.arrivingNow'));
+        } else if (alert.tripId && ++alert.misses >= ALERT_MAX_MISSES) {
+            fireAlert(alert, I18n.t('alert.disappeared'));
+        } else if (alert.tripId) {
+            alert.status = 'lost';
+        }
         return;
     }
 
-    const bounds = map.getBounds();
-    const visibleStops = [];
+    alert.misses = 0;
+    alert.lastMinutes = match.minutes;
+    alert.status = 'waiting';
 
-    const south = bounds.getSouth();
-    const north = bounds.getNorth();
-    const west = bounds.getWest();
-    const east = bounds.getEast();
+    if (alert.vehicleId && match.vehicleId && match.vehicleId !== alert.vehicleId) {
+        // Operator swapped the bus on this trip, follow the new one
+        alert.vehicleId = match.vehicleId;
+        alert.status = 'reassigned';
+    }
 
-    for (let i = 0; i < allStops.length; i++) {
-        const stop = allStops[i];
-        const lat = parseFloat(stop.lat);
-        const lon = parseFloat(stop.lon);
+    if (alert.mode === 'stops' && alert.vehicleId) {
+        const stopsAway = await getStopsAway(alert.vehicleId, match.stopId);
+        if (stopsAway !== null) {
+            alert.lastStopsAway = stopsAway;
+            if (stopsAway <= alert.threshold) {
+                fireAlert(alert, stopsAway <= 0 ? I18n.t('alert.arrivingNow') : I18n.t('bus.stopsAway', { count: stopsAway }));
+                return;
+            }
+        }
+    }
 
-        if (lat >= south && lat <= north && lon >= west && lon <= east) {
-            visibleStops.push({ ...stop, latNum: lat, lonNum: lon });
+    if (alert.mode === 'minutes' && match.minutes <= alert.threshold) {
+        fireAlert(alert, match.minutes <= 0 ? I18n.t('alert.arrivingNow') : I18n.t('alert.minutesAway', { count: match.minutes }));
+    }
+}
+
+async function pollAlerts() {
+    clearTimeout(alertPollTimer);
+    if (arrivalAlerts.length === 0) return;
+
+    await Promise.all(arrivalAlerts.map(alert => checkAlert(alert).catch(e => console.warn('Alert check failed', e))));
+
+    saveAlerts();
+    renderAlertsPanel();
+    if (arrivalAlerts.length > 0) {
+        alertPollTimer = setTimeout(pollAlerts, ALERT_POLL_MS);
+    }
+}
+
+function renderAlertsIndicator() {
+    const indicator = document.getElementById('alerts-indicator');
+    indicator.innerText = `🔔 ${arrivalAlerts.length}`;
+    indicator.classList.toggle('show', arrivalAlerts.length > 0);
+    if (arrivalAlerts.length === 0) document.getElementById('alerts-panel').classList.remove('show');
+}
+
+window.toggleAlertsPanel = function () {
+    if (document.getElementById('alerts-panel').classList.toggle('show')) renderAlertsPanel();
+};
+
+function renderAlertsPanel() {
+    const panel = document.getElementById('alerts-panel');
+    if (!panel.classList.contains('show')) return;
+
+    const statusText = {
+        waiting: '',
+        reassigned: ` · ${I18n.t('alert.reassigned')}`,
+        lost: ` · ${I18n.t('alert.lost')}`
+    };
+
+    Render.setHtml(panel, arrivalAlerts.map(alert => {
+        const progress = alert.mode === 'stops'
+            ? (alert.lastStopsAway !== undefined ? I18n.t('bus.stopsAway', { count: alert.lastStopsAway }) : '…')
+            : (alert.lastMinutes !== null ? `${alert.lastMinutes} min` : '…');
+        return html`
+            <div class="favourite-row alert-row">
+                <span class="line-number suggestion-line-number" style="background-color: ${getLineColor(alert.lineId)}">${alert.lineId}</span>
+                <div class="destination-info">
+                    <div class="destination">${alert.stopName}</div>
+                    <div class="suggestion-detail" style="font-size: 11px; color:#64748b;">
+                        ${I18n.t('alert.progress', {
+                            threshold: alert.threshold,
+                            unit: alert.mode === 'stops' ? I18n.t('alert.unitStops', { count: alert.threshold }) : 'min',
+                            progress
+                        })}${statusText[alert.status] || ''}
+                    </div>
+                </div>
+                <button class="favourite-action" data-action="cancel-alert" data-alert-id="${alert.id}">✕</button>
+            </div>
+        `;
+    }));
+}
+
+// --- Near Me ---
+const NEAR_ME_COUNT = 8;
+const NEAR_ME_MAX_RADIUS = 3000;
+const NEAR_ME_REFRESH_MS = 30000;
+const NEAR_ME_MIN_MOVE = 25; // metres before the list is recomputed
+const WALK_SPEED_M_PER_MIN = 80;
+const WALK_DETOUR_FACTOR = 1.3; // streets are longer than the straight line
+
+let nearMeActive = false;
+let nearMeWatchId = null;
+let nearMeTimer = null;
+let nearMePosition = null;
+let nearMeStops = [];
+const nearMeArrivals = new Map(); // stop_id -> { fetchedAt, arrivals }
+
+window.toggleNearMe = function () {
+    nearMeActive = !nearMeActive;
+    document.body.classList.toggle('near-me-active', nearMeActive);
+    document.getElementById('btn-near-me').classList.toggle('active', nearMeActive);
+
+    if (!nearMeActive) {
+        if (nearMeWatchId !== null) navigator.geolocation.clearWatch(nearMeWatchId);
+        clearInterval(nearMeTimer);
+        nearMeWatchId = null;
+        nearMePosition = null;
+        return;
+    }
+
+    const container = document.getElementById('near-me');
+    if (!navigator.geolocation) {
+        Render.setHtml(container, html`<div class="error">${I18n.t('nearMe.unavailable')}</div>`);
+        return;
+    }
+
+    Render.setHtml(container, html`
+        <div class="loading">
+            <div class="spinner"></div>
+            <div>${I18n.t('nearMe.finding')}</div>
+        </div>
+    `);
+
+    nearMeWatchId = navigator.geolocation.watchPosition(
+        onNearMePosition,
+        (err) => {
+            console.warn("Geolocation denied or error", err);
+            if (!nearMePosition) Render.setHtml(container, html`<div class="error">${I18n.t('nearMe.failed')}</div>`);
+        },
+        { enableHighAccuracy: true, maximumAge: 10000, timeout: 15000 }
+    );
+    nearMeTimer = setInterval(refreshNearMeArrivals, NEAR_ME_REFRESH_MS);
+};
+
+function onNearMePosition(pos) {
+    const { latitude, longitude } = pos.coords;
+    if (nearMePosition && distanceMeters(nearMePosition.lat, nearMePosition.lon, latitude, longitude) < NEAR_ME_MIN_MOVE) {
+        return;
+    }
+    nearMePosition = { lat: latitude, lon: longitude };
+
+    if (!allStops.length) {
+        // Retry once the dataset arrives
+        setTimeout(() => { nearMePosition = null; onNearMePosition(pos); }, 1000);
+        return;
+    }
+
+    const position = nearMePosition;
+    loadTilesNear(latitude, longitude, NEAR_ME_MAX_RADIUS).then(() => {
+        if (!nearMeActive || nearMePosition !== position) return;
+        nearMeStops = findClosestStops(latitude, longitude, NEAR_ME_COUNT);
+        renderNearMe();
+        refreshNearMeArrivals();
+    });
+}
+
+// Grow the search radius until enough active stops are found
+function findClosestStops(lat, lon, count) {
+    let found = [];
+    for (let radius = 250; radius <= NEAR_ME_MAX_RADIUS && found.length < count; radius *= 2) {
+        found = getStopsNear(lat, lon, radius).filter(({ stop }) => stop.status === 'ACTIVE');
+    }
+    return found.sort((a, b) => a.distance - b.distance).slice(0, count);
+}
+
+async function refreshNearMeArrivals() {
+    if (!nearMeActive) return;
+    const now = Date.now();
+
+    await Promise.all(nearMeStops.map(async ({ stop }) => {
+        const cached = nearMeArrivals.get(stop.stop_id);
+        if (cached && now - cached.fetchedAt < NEAR_ME_REFRESH_MS) return;
+        try {
+            const arrivals = await fetchRealtime(stop.stop_id);
+            nearMeArrivals.set(stop.stop_id, { fetchedAt: Date.now(), arrivals });
+        } catch (e) {
+            console.warn(`Arrivals unavailable for ${stop.stop_id}`, e);
         }
+    }));
+
+    if (nearMeActive) renderNearMe();
+}
+
+function renderNearMeSummary(stopId) {
+    const entry = nearMeArrivals.get(stopId);
+    if (!entry) return html`<span class="near-me-pending">…</span>`;
+    if (entry.arrivals.length === 0) return html`<span class="near-me-pending">${I18n.t('nearMe.noBuses')}</span>`;
+
+    return entry.arrivals.slice(0, 3).map(bus => html`
+        <span class="near-me-arrival">
+            <span class="near-me-line" style="background-color: ${bus.color}">${bus.lineId}</span>
+            ${bus.minutes <= 0 ? I18n.t('arrival.now') : `${bus.minutes}'`}
+        </span>
+    `);
+}
+
+function renderNearMe() {
+    const container = document.getElementById('near-me');
+    if (nearMeStops.length === 0) {
+        Render.setHtml(container, html`<div class="empty">${I18n.t('nearMe.none', { distance: I18n.formatDistance(NEAR_ME_MAX_RADIUS) })}</div>`);
+        return;
+    }
+
+    const focusKey = captureFocus(container);
+    Render.setHtml(container, html`<ul id="near-me-list">${nearMeStops.map(({ stop, distance }) => html`
+        <li class="arrival-item near-me-item">
+            <button type="button" class="near-me-select" data-focus-key="near:${stop.stop_id}"
+                    data-action="select-stop" data-stop-id="${stop.stop_id}" data-stop-name="${stop.name}">
+                <span class="near-me-header">
+                    <span class="destination-info">
+                        <span class="destination">${stop.name}</span>
+                        <span class="suggestion-detail" style="font-size: 11px; color:#64748b;">${stop.locality || ''} · ${stop.stop_id}</span>
+                    </span>
+                    <span class="near-me-distance">
+                        <b>${I18n.formatDistance(distance)}</b>
+                        <span>${Math.max(1, Math.round(distance * WALK_DETOUR_FACTOR / WALK_SPEED_M_PER_MIN))} min 🚶</span>
+                    </span>
+                </span>
+                <span class="near-me-arrivals">${renderNearMeSummary(stop.stop_id)}</span>
+            </button>
+        </li>
+    `)}</ul>`);
+    restoreFocus(container, focusKey);
+}
+
+// --- Stop Groups ---
+function findUserGroup(id) {
+    const group = userGroups.find(g => g.id === id);
+    if (group) return group;
+    if (linkedGroup && linkedGroup.id === id) return linkedGroup;
+    if (!String(id).startsWith('link:')) return null;
+
+    // A linked group favourited or visited in an earlier session
+    const fav = favourites.find(f => f.id === id);
+    return { id, name: fav ? fav.name : '', stops: id.slice('link:'.length).split(',') };
+}
+
+// Linked groups (shared URLs, kiosk boards) are not stored: their id carries the
+// members, so favourites and recents made from one still resolve after a reload
+function linkedGroupId(stops) {
+    return `link:${stops.join(',')}`;
+}
+
+function getGroupStops(id) {
+    const group = findUserGroup(id);
+    if (group) return group.stops;
+    return Arrivals.getGroupStops(id);
+}
+
+function saveGroups() {
+    saveStored('paragem.groups', userGroups);
+    renderQuickActions();
+}
+
+window.toggleGroupsPanel = function () {
+    const panel = document.getElementById('groups-panel');
+    if (panel.classList.toggle('show')) {
+        if (!groupDraft) startGroupDraft();
+        renderGroupsPanel();
+    }
+};
+
+function startGroupDraft(group) {
+    groupDraft = group
+        ? { id: group.id, name: group.name, stops: [...group.stops], radius: 150 }
+        : { id: null, name: '', stops: getGroupStops(currentStopId).filter(id => !findUserGroup(id)), radius: 150 };
+}
+
+window.editGroup = function (id) {
+    startGroupDraft(findUserGroup(id));
+    renderGroupsPanel();
+};
+
+window.deleteGroup = function (id) {
+    userGroups = userGroups.filter(g => g.id !== id);
+    saveGroups();
+    if (groupDraft && groupDraft.id === id) startGroupDraft();
+    renderGroupsPanel();
+};
+
+window.addGroupMember = function (id) {
+    const stopId = String(id).trim();
+    if (!/^\d{6}$/.test(stopId) || groupDraft.stops.includes(stopId)) return;
+    groupDraft.stops.push(stopId);
+    renderGroupsPanel();
+};
+
+window.removeGroupMember = function (id) {
+    groupDraft.stops = groupDraft.stops.filter(s => s !== id);
+    renderGroupsPanel();
+};
+
+window.setGroupRadius = function (radius) {
+    groupDraft.radius = Number(radius);
+    renderGroupsPanel();
+};
+
+window.saveGroupDraft = function () {
+    const name = groupDraft.name.trim();
+    if (!name || groupDraft.stops.length < 2) {
+        alert(I18n.t('group.invalid'));
+        return;
+    }
+
+    if (groupDraft.id) {
+        const group = findUserGroup(groupDraft.id);
+        group.name = name;
+        group.stops = [...groupDraft.stops];
+    } else {
+        groupDraft.id = `g${Date.now().toString(36)}`;
+        userGroups.push({ id: groupDraft.id, name, stops: [...groupDraft.stops] });
+    }
+    saveGroups();
+
+    const savedId = groupDraft.id;
+    groupDraft = null;
+    document.getElementById('groups-panel').classList.remove('show');
+    quickSelect(savedId);
+};
+
+// Members' tiles, then the tiles around them
+async function loadGroupTiles(memberIds, radius) {
+    const loadedMembers = await loadStopTiles(memberIds);
+    const around = await Promise.all(memberIds
+        .map(id => stopsById.get(id))
+        .filter(stop => stop && stop.latNum !== undefined)
+        .map(stop => loadTilesNear(stop.latNum, stop.lonNum, radius)));
+    return loadedMembers || around.includes(true);
+}
+
+// Stops within the walking radius of any member, e.g. the other side of the road
+function findNearbyStops(memberIds, radius) {
+    const nearest = new Map();
+    memberIds
+        .map(id => stopsById.get(id))
+        .filter(stop => stop && stop.latNum !== undefined)
+        .forEach(member => {
+            getStopsNear(member.latNum, member.lonNum, radius).forEach(({ stop, distance }) => {
+                if (memberIds.includes(stop.stop_id)) return;
+                const known = nearest.get(stop.stop_id);
+                if (!known || distance < known.distance) nearest.set(stop.stop_id, { stop, distance });
+            });
+        });
+
+    return Array.from(nearest.values()).sort((a, b) => a.distance - b.distance).slice(0, 10);
+}
+
+function renderGroupsPanel() {
+    const panel = document.getElementById('groups-panel');
+    panel.innerHTML = '';
+
+    const savedHtml = userGroups.map(g => html`
+        <div class="favourite-row">
+            <button type="button" class="group-name" data-action="quick-select" data-stop-id="${g.id}">⧉ ${g.name}</button>
+            <span class="suggestion-id">${g.stops.length}</span>
+            <button class="favourite-action" data-action="edit-group" data-group-id="${g.id}">✏️</button>
+            <button class="favourite-action" data-action="delete-group" data-group-id="${g.id}">✕</button>
+        </div>
+    `);
+
+    const membersHtml = groupDraft.stops.length > 0
+        ? groupDraft.stops.map(id => html`
+            <span class="group-chip">
+                ${getStopLabel(id)} <small>${id}</small>
+                <button data-action="remove-group-member" data-stop-id="${id}">✕</button>
+            </span>
+        `)
+        : html`<div class="group-hint">${I18n.t('group.noStops')}</div>`;
+
+    const nearbyStops = allStops.length ? findNearbyStops(groupDraft.stops, groupDraft.radius) : [];
+    const nearbyHtml = allStops.length
+        ? (nearbyStops.length > 0 ? nearbyStops.map(({ stop, distance }) => html`
+            <button type="button" class="suggestion-item" data-action="add-group-member" data-stop-id="${stop.stop_id}">
+                <span class="suggestion-info">
+                    <span class="suggestion-name">${stop.name}</span>
+                    <span class="suggestion-detail" style="font-size: 11px; color:#64748b;">${I18n.formatDistance(distance)} · ${stop.lines.join(', ')}</span>
+                </span>
+                <span class="suggestion-id">＋ ${stop.stop_id}</span>
+            </button>
+        `) : html`<div class="group-hint">${I18n.t('group.noNearby')}</div>`)
+        : html`<div class="group-hint">${I18n.t('group.notLoaded')}</div>`;
+
+    Render.setHtml(panel, html`
+        ${savedHtml.length > 0 ? html`<div class="group-section">${savedHtml}</div>` : ''}
+        <div class="group-section">
+            <input type="text" id="group-name-input" placeholder="${I18n.t('group.namePlaceholder')}">
+            <div class="group-members">${membersHtml}</div>
+            <form class="group-add" data-action="add-group-member-id">
+                <input type="text" name="stopId" inputmode="numeric" placeholder="${I18n.t('group.stopIdPlaceholder')}">
+                <button type="submit" class="favourite-action">＋</button>
+            </form>
+        </div>
+        <div class="group-section">
+            <label class="group-hint">
+                ${I18n.t('group.suggestWithin')}
+                <select data-action="set-group-radius">
+                    ${[50, 150, 300, 500].map(r => html`<option value="${r}" ${r === groupDraft.radius ? 'selected' : ''}>${I18n.formatDistance(r)}</option>`)}
+                </select>
+            </label>
+            <div class="group-nearby">${nearbyHtml}</div>
+        </div>
+        <button class="search-btn group-save" data-action="save-group">${I18n.t(groupDraft.id ? 'group.update' : 'group.save')}</button>
+    `);
+
+    // Set via property so the typed name never needs escaping
+    const nameInput = document.getElementById('group-name-input');
+    nameInput.value = groupDraft.name;
+    nameInput.oninput = () => { groupDraft.name = nameInput.value; };
+
+    // Suggestions fill in as the tiles around the members arrive
+    const draft = groupDraft;
+    loadGroupTiles(draft.stops, draft.radius).then(loaded => {
+        if (loaded && groupDraft === draft && document.getElementById('groups-panel').classList.contains('show')) {
+            renderGroupsPanel();
+        }
+    });
+}
+
+function toggleViewMode() {
+    showAbsoluteTime = !showAbsoluteTime;
+    const toggle = document.getElementById('view-toggle');
+    if (showAbsoluteTime) {
+        toggle.classList.add('show-time');
+    } else {
+        toggle.classList.remove('show-time');
+    }
+    renderList(cachedArrivals);
+    syncUrl(false);
+}
+
+// --- URL State ---
+// ?stop=120385 | ?group=172197,172537&name=... , &lines=1523,1524 &view=hr &bus=41|1234
+function stopParams(id) {
+    const params = new URLSearchParams();
+    const group = findUserGroup(id);
+
+    if (group) {
+        // User groups live in localStorage, so share the members instead of the local id
+        params.set('group', group.stops.join(','));
+        params.set('name', group.name);
+    } else {
+        params.set('stop', id);
+    }
+    return params;
+}
+
+// API configuration and kiosk params survive URL updates so a reload stays in the same mode
+const API_URL_PARAMS = ['api', 'cmetApi', 'apiMode', 'fixtures', 'speed', 'kiosk', 'rotate', 'every', 'rows'];
+
+function buildUrlSearch() {
+    const params = stopParams(currentStopId);
+    const current = new URLSearchParams(location.search);
+    API_URL_PARAMS.forEach(key => {
+        if (current.has(key)) params.set(key, current.get(key));
+    });
+
+    // Filters and the bus map belong to the loaded stop, not one still loading
+    if (currentStopId === previousStopId) {
+        const isAllActive = availableLines.every(id => activeLines.has(id));
+        if (!isAllActive) params.set('lines', Array.from(activeLines).join(','));
+        if (activeBusMapId) params.set('bus', activeBusMapId.substring(1));
+    }
+
+    if (showAbsoluteTime) params.set('view', 'hr');
+
+    return `?${params.toString()}`;
+}
+
+function syncUrl(push) {
+    const search = buildUrlSearch();
+    if (search === location.search) return;
+    if (push) {
+        history.pushState(null, '', search);
+    } else {
+        history.replaceState(null, '', search);
+    }
+}
+
+function applyUrlState() {
+    const params = new URLSearchParams(location.search);
+
+    if (params.has('group')) {
+        const stops = params.get('group').split(',').filter(id => /^\d{6}$/.test(id));
+        const key = [...stops].sort().join(',');
+        const existing = userGroups.find(g => [...g.stops].sort().join(',') === key);
+        if (existing) {
+            currentStopId = existing.id;
+        } else if (stops.length > 0) {
+            linkedGroup = { id: linkedGroupId(stops), name: params.get('name') || stops[0], stops };
+            currentStopId = linkedGroup.id;
+        }
+    } else if (params.has('stop')) {
+        currentStopId = params.get('stop');
+    }
+
+    pendingLineFilter = params.has('lines') ? params.get('lines').split(',').filter(Boolean) : null;
+    pendingBusVehicleId = params.get('bus');
+
+    showAbsoluteTime = params.get('view') === 'hr';
+    document.getElementById('view-toggle').classList.toggle('show-time', showAbsoluteTime);
+
+    // Force the filters to be rebuilt for the restored stop
+    previousStopId = null;
+}
+
+function openPendingBusMap() {
+    if (!pendingBusVehicleId) return;
+    const vehicleId = pendingBusVehicleId;
+    pendingBusVehicleId = null;
+
+    const bus = cachedArrivals.find(b => b.vehicleId === vehicleId && activeLines.has(b.lineId));
+    const mapContainer = bus && document.getElementById(`bus-map-${bus.tripId || 'unknown'}`);
+    if (mapContainer) {
+        toggleBusMap(mapContainer.parentElement.querySelector('.arrival-main'), bus.tripId || '', bus.lineId, bus.vehicleId);
+    }
+}
+
+window.addEventListener('popstate', () => {
+    applyUrlState();
+    loadData(true);
+});
+
+function toggleSearch() {
+    const form = document.getElementById('search-form');
+    const filters = document.getElementById('line-filters');
+    const btn = document.getElementById('btn-search');
+    form.classList.toggle('show');
+    filters.classList.toggle('show');
+
+    if (form.classList.contains('show')) {
+        searchInput.focus();
+        btn.style.backgroundColor = 'var(--primary)';
+        btn.style.color = 'white';
+        btn.style.borderColor = 'var(--primary)';
+    } else {
+        btn.style.backgroundColor = '';
+        btn.style.color = '';
+        btn.style.borderColor = '';
+    }
+}
+
+// --- Event Listeners ---
+function updateSuggestions() {
+    const query = searchInput.value.trim();
+    // Within a locality, an empty query lists its stops
+    if (query.length < 2 && !searchLocality) {
+        setSuggestionsOpen(false);
+        return;
+    }
+
+    if (!allStops.length) return;
+
+    // A line's stops are known once the tiles it runs through are in
+    const lineId = parseLineQuery(query);
+    if (lineId && !hasLineTiles(lineId)) {
+        loadLineTiles(lineId).then(() => {
+            if (searchInput.value.trim() === query) renderQuerySuggestions(query);
+        });
+        return;
+    }
+    renderQuerySuggestions(query);
+}
+
+function renderQuerySuggestions(query) {
+    const header = searchLocality ? null : renderSearchHeader(query);
+    renderSuggestions(searchStops(query, 50), header, parseLineQuery(query));
+}
+
+searchInput.addEventListener('input', debounce(updateSuggestions, 300));
+searchInput.addEventListener('keydown', onSearchKeydown);
+
+document.getElementById('search-form').addEventListener('submit', (e) => {
+    e.preventDefault();
+    const val = searchInput.value.trim();
+    if (!val) return;
+
+    // 1. Direct ID
+    if (/^\d{6}$/.test(val)) {
+        setCurrentStop(val);
+        toggleSearch();
+        return;
+    }
+
+    if (!allStops.length) {
+        alert(I18n.t('search.notLoaded'));
+        return;
+    }
+
+    // 2. Same ranking as the suggestions, so GO opens the first suggestion
+    const [bestMatch] = searchStops(val, 1);
+    if (bestMatch) {
+        searchInput.value = bestMatch.name;
+        setCurrentStop(bestMatch.stop_id);
+        toggleSearch();
+    } else {
+        alert(I18n.t('search.notFound'));
+    }
+});
+
+document.addEventListener('click', (e) => {
+    if (!e.target.closest('.search-input-wrapper')) {
+        setSuggestionsOpen(false);
+    }
+});
+
+// --- Accessibility ---
+// The search box is a combobox over the suggestions listbox: arrows move the
+// highlighted option (aria-activedescendant), Enter picks it, Escape closes the list
+let activeSuggestion = -1;
+
+function getSuggestionOptions() {
+    return Array.from(suggestionsList.querySelectorAll('[role="option"]:not([aria-disabled="true"])'));
+}
+
+function setSuggestionsOpen(open) {
+    suggestionsList.classList.toggle('show', open);
+    searchInput.setAttribute('aria-expanded', open);
+    activeSuggestion = -1;
+    searchInput.removeAttribute('aria-activedescendant');
+}
+
+function setActiveSuggestion(index) {
+    const options = getSuggestionOptions();
+    if (options.length === 0) return;
+    activeSuggestion = (index + options.length) % options.length;
+    options.forEach((el, i) => {
+        const active = i === activeSuggestion;
+        el.classList.toggle('active', active);
+        el.setAttribute('aria-selected', active);
+        if (active) el.scrollIntoView({ block: 'nearest' });
+    });
+    searchInput.setAttribute('aria-activedescendant', options[activeSuggestion].id);
+}
 
-        // Safety Break: if too many stops, stop rendering to avoid freeze
-        if (visibleStops.length > 300) {
-            stopsLayer.clearLayers();
-            messageEl.classList.add('visible');
-            messageEl.innerText = "Zoom in closer (too many stops)";
+function onSearchKeydown(e) {
+    const open = suggestionsList.classList.contains('show');
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        if (!open) {
+            updateSuggestions();
             return;
         }
+        const down = e.key === 'ArrowDown';
+        setActiveSuggestion(activeSuggestion === -1 ? (down ? 0 : -1) : activeSuggestion + (down ? 1 : -1));
+    } else if (e.key === 'Enter' && open && activeSuggestion >= 0) {
+        e.preventDefault();
+        getSuggestionOptions()[activeSuggestion].click();
+    } else if (e.key === 'Escape' && open) {
+        e.preventDefault();
+        setSuggestionsOpen(false);
+    }
+}
+
+// Lists are rebuilt on every refresh; keep keyboard focus on the same row or badge
+function captureFocus(container) {
+    const el = document.activeElement;
+    return el && container.contains(el) ? el.dataset.focusKey || null : null;
+}
+
+function restoreFocus(container, focusKey) {
+    if (!focusKey) return;
+    const el = container.querySelector(`[data-focus-key="${CSS.escape(focusKey)}"]`);
+    if (el) el.focus({ preventScroll: true });
+}
+
+// "Line 1523 to Queluz, 4 minutes, live"
+function arrivalLabel(bus) {
+    const when = showAbsoluteTime
+        ? I18n.t('a11y.at', { time: bus.arrivalTime })
+        : (bus.minutes <= 0 ? I18n.t('a11y.now') : I18n.t('a11y.minutes', { count: bus.minutes }));
+    return I18n.t('a11y.arrival', {
+        lineId: bus.lineId,
+        destination: bus.destination,
+        when,
+        status: I18n.t(bus.isRealtime ? 'a11y.live' : 'a11y.estimated')
+    });
+}
+
+function announce(message) {
+    const region = document.getElementById('live-announcer');
+    // Cleared first so the same message is read again
+    region.textContent = '';
+    setTimeout(() => { region.textContent = message; }, 100);
+}
+
+// The bus on the open map, or one with an alert, is announced once as it arrives
+const ARRIVING_MINUTES = 1;
+const announcedArrivals = new Set(); // `${stopId}|${tripId}`
+
+function announceTrackedArrivals(arrivals) {
+    const trackedVehicleId = activeBusMapId ? activeBusMapId.substring(1) : null;
+    arrivals.forEach(bus => {
+        const key = `${bus.stopId}|${bus.tripId}`;
+        const tracked = (trackedVehicleId && bus.vehicleId === trackedVehicleId) ||
+            (bus.tripId && arrivalAlerts.some(a => a.tripId === bus.tripId));
+        if (!tracked || bus.minutes > ARRIVING_MINUTES || announcedArrivals.has(key)) return;
+        announcedArrivals.add(key);
+        announce(I18n.t('a11y.arriving', { lineId: bus.lineId, destination: bus.destination }));
+    });
+}
+
+// --- Search ---
+// Ranking lives in stop-search.js, shared with the Node CLI
+let searchIndex = StopSearch.createIndex([]);
+let searchLocality = null;
+
+function getSearchOrigin() {
+    const origin = allStops.find(s => s.stop_id === getGroupStops(currentStopId)[0]);
+    return origin && !isNaN(origin.latNum) ? origin : null;
+}
+
+function parseLineQuery(query) {
+    return StopSearch.parseLineQuery(searchIndex, query);
+}
+
+function findLocalities(query) {
+    return StopSearch.findLocalities(searchIndex, query);
+}
+
+window.setSearchLocality = function (key) {
+    searchLocality = searchIndex.localityStops.has(key) ? key : null;
+    const scopeBtn = document.getElementById('search-scope');
+    scopeBtn.innerText = searchLocality ? `📍 ${searchIndex.localityStops.get(key).name} ✕` : '';
+    scopeBtn.classList.toggle('show', !!searchLocality);
+
+    searchInput.value = '';
+    searchInput.focus();
+    updateSuggestions();
+};
+
+window.clearSearchLocality = function () {
+    setSearchLocality(null);
+};
+
+function searchStops(query, limit) {
+    return StopSearch.search(searchIndex, query, { limit, origin: getSearchOrigin(), locality: searchLocality });
+}
+
+// --- Map Logic ---
+let map = null;
+let stopsLayer = null;
+const renderedStopMarkers = new Map();
+
+function toggleMap() {
+    const modal = document.getElementById('map-modal');
+    const isShowing = modal.classList.toggle('show');
+
+    if (isShowing) {
+        if (!map) {
+            setTimeout(initMap, 100);
+        } else {
+            setTimeout(() => {
+                map.invalidateSize();
+                updateMapMarkers();
+                refreshMapVehicles();
+            }, 100);
+        }
     }
+}
 
+function initMap() {
+    // Default to Lisbon
+    const defaultCenter = [38.722, -9.139];
+
+    // Performance optimization: preferCanvas
+    map = L.map('map', {
+        preferCanvas: true
+    }).setView(defaultCenter, 13);
+
+    L.tileLayer('https://{s}.basemaps.cartocdn.com/rastertiles/voyager/{z}/{x}/{y}{r}.png', {
+        attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors &copy; <a href="https://carto.com/attributions">CARTO</a>',
+        subdomains: 'abcd',
+        maxZoom: 20
+    }).addTo(map);
+
+    stopsLayer = L.markerClusterGroup({
+        chunkedLoading: true,
+        disableClusteringAtZoom: 16,
+        maxClusterRadius: 60,
+        showCoverageOnHover: false
+    }).addTo(map);
+
+    map.on('moveend', updateMapMarkers);
+
+    mapVehiclesLayer = L.layerGroup().addTo(map);
+    renderMapVehicleControls();
+
+    // Add current location button or auto-locate
+    if (navigator.geolocation) {
+        navigator.geolocation.getCurrentPosition(
+            (pos) => {
+                const { latitude, longitude } = pos.coords;
+                L.circleMarker([latitude, longitude], {
+                    radius: 8,
+                    fillColor: "#4285F4",
+                    color: "#ffffff",
+                    weight: 2,
+                    opacity: 1,
+                    fillOpacity: 1
+                }).addTo(map).bindPopup(I18n.t('map.youAreHere'));
+
+                map.setView([latitude, longitude], 15);
+            },
+            (err) => console.warn("Geolocation denied or error", err),
+            { timeout: 5000 }
+        );
+    }
+
+    updateMapMarkers();
+    refreshMapVehicles();
+}
+
+let mapMoveId = 0;
+
+async function updateMapMarkers() {
+    const messageEl = document.getElementById('map-message');
+    if (!map) return;
+
+    if (!allStops || allStops.length === 0) {
+        messageEl.classList.add('visible');
+        messageEl.innerText = I18n.t('map.loadingStops');
+        return;
+    }
     messageEl.classList.remove('visible');
 
-    // Render
-    stopsLayer.clearLayers();
+    // Only keep markers for the padded viewport, the cluster group handles density
+    const moveId = ++mapMoveId;
+    const bounds = map.getBounds().pad(0.5);
+    await loadTilesInBounds(bounds.getSouth(), bounds.getWest(), bounds.getNorth(), bounds.getEast());
+    if (moveId !== mapMoveId) return;
 
+    const visibleStops = getStopsInBounds(bounds.getSouth(), bounds.getWest(), bounds.getNorth(), bounds.getEast());
+    const visibleIds = new Set(visibleStops.map(stop => stop.stop_id));
+
+    const toRemove = [];
+    renderedStopMarkers.forEach((marker, id) => {
+        if (!visibleIds.has(id)) {
+            toRemove.push(marker);
+            renderedStopMarkers.delete(id);
+        }
+    });
+
+    const toAdd = [];
     visibleStops.forEach(stop => {
-        const marker = L.circleMarker([stop.latNum, stop.lonNum], {
-            radius: 6,
-            fillColor: stop.status === 'ACTIVE' ? "#004494" : "#94a3b8", // Grey if inactive
-            color: "#ffffff",
-            weight: 1,
-            opacity: 1,
-            fillOpacity: 0.8
-        });
+        if (renderedStopMarkers.has(stop.stop_id)) return;
+        const marker = createStopMarker(stop);
+        renderedStopMarkers.set(stop.stop_id, marker);
+        toAdd.push(marker);
+    });
 
-        marker.on('click', () => {
-            const linesHtml = stop.lines && stop.lines.length > 0
-                ? `<div style="display:flex; flex-wrap:wrap; gap:4px; margin-bottom:8px;">
-                    ${stop.lines.map(line => {
-                    const color = getLineColor(line);
-                    return `<span style="font-size:10px; background:${color}; color:white; padding:2px 4px; border-radius:4px; font-weight:700;">${line}</span>`;
-                }).join('')}
-                   </div>`
-                : '<div style="font-size:11px; color:#94a3b8; margin-bottom:8px;">No lines available</div>';
-
-            const statusBadge = stop.status === 'ACTIVE'
-                ? '<span style="color:#16a34a; background:#dcfce7; font-size:9px; padding:1px 4px; border-radius:3px; font-weight:700; margin-left:6px;">ACTIVE</span>'
-                : '<span style="color:#dc2626; background:#fee2e2; font-size:9px; padding:1px 4px; border-radius:3px; font-weight:700; margin-left:6px;">INACTIVE</span>';
-
-            L.popup()
-                .setLatLng([stop.latNum, stop.lonNum])
-                .setContent(`
-                    <div style="min-width: 180px;">
-                        <h3 style="margin:0 0 2px; font-size:14px; font-weight:700; color:#0f172a; display:flex; align-items:center;">
-                            ${stop.name}
-                            ${statusBadge}
-                        </h3>
-                        <div style="font-size:11px; color:#64748b; margin-bottom:8px;">${stop.locality || ''} (${stop.stop_id})</div>
-                        ${linesHtml}
-                        <button onclick="window.selectStopFromMap('${stop.stop_id}', '${stop.name.replace(/'/g, "\\'")}')" 
-                            style="width:100%; background:#004494; color:white; border:none; padding:8px 12px; border-radius:6px; font-weight:600; cursor:pointer;">
-                            Select Stop
-                        </button>
-                    </div>
-                `)
-                .openOn(map);
-        });
+    stopsLayer.removeLayers(toRemove);
+    stopsLayer.addLayers(toAdd);
+}
 
-        stopsLayer.addLayer(marker);
+function createStopMarker(stop) {
+    const marker = L.circleMarker([stop.latNum, stop.lonNum], {
+        radius: 6,
+        fillColor: stop.status === 'ACTIVE' ? "#004494" : "#94a3b8", // Grey if inactive
+        color: "#ffffff",
+        weight: 1,
+        opacity: 1,
+        fillOpacity: 0.8
     });
+
+    marker.on('click', () => openStopPopup(stop));
+    return marker;
+}
+
+function openStopPopup(stop) {
+    const linesHtml = stop.lines && stop.lines.length > 0
+        ? html`<div style="display:flex; flex-wrap:wrap; gap:4px; margin-bottom:8px;">
+            ${stop.lines.map(line => {
+            const color = getLineColor(line);
+            return html`<span data-action="map-open-line" data-line-id="${line}" style="font-size:10px; background:${color}; color:white; padding:2px 4px; border-radius:4px; font-weight:700; cursor:pointer;">${line}</span>`;
+        })}
+           </div>`
+        : html`<div style="font-size:11px; color:#94a3b8; margin-bottom:8px;">${I18n.t('map.noLines')}</div>`;
+
+    const statusBadge = stop.status === 'ACTIVE'
+        ? html`<span style="color:#16a34a; background:#dcfce7; font-size:9px; padding:1px 4px; border-radius:3px; font-weight:700; margin-left:6px;">${I18n.t('map.active')}</span>`
+        : html`<span style="color:#dc2626; background:#fee2e2; font-size:9px; padding:1px 4px; border-radius:3px; font-weight:700; margin-left:6px;">${I18n.t('map.inactive')}</span>`;
+
+    // Leaflet stops clicks from leaving the popup, so it gets its own delegated listener
+    const content = Render.element(html`
+            <div style="min-width: 180px;">
+                <h3 style="margin:0 0 2px; font-size:14px; font-weight:700; color:#0f172a; display:flex; align-items:center;">
+                    ${stop.name}
+                    ${statusBadge}
+                </h3>
+                <div style="font-size:11px; color:#64748b; margin-bottom:8px;">${stop.locality || ''} (${stop.stop_id})</div>
+                ${linesHtml}
+                <button data-action="toggle-favourite" data-stop-id="${stop.stop_id}"
+                    style="width:100%; background:white; color:#004494; border:1px solid #004494; padding:6px 12px; border-radius:6px; font-weight:600; cursor:pointer; margin-bottom:6px;">
+                    ${isFavourite(stop.stop_id) ? '★' : '☆'}
+                </button>
+                <button data-action="map-select-stop" data-stop-id="${stop.stop_id}" data-stop-name="${stop.name}"
+                    style="width:100%; background:#004494; color:white; border:none; padding:8px 12px; border-radius:6px; font-weight:600; cursor:pointer;">
+                    ${I18n.t('map.selectStop')}
+                </button>
+            </div>
+        `);
+    Render.delegate(content, 'click', uiActions);
+
+    L.popup()
+        .setLatLng([stop.latNum, stop.lonNum])
+        .setContent(content)
+        .openOn(map);
 }
 
 window.selectStopFromMap = function (id, name) {
@@ -812,6 +2086,90 @@ window.selectStopFromMap = function (id, name) {
     toggleMap(); // Close modal
 };
 
+// --- Live Vehicles Layer ---
+// { enabled, lines: ['1523', ...] }, no lines = every line
+let mapVehicles = loadStored('paragem.mapVehicles', { enabled: false, lines: [] });
+let mapVehiclesLayer = null;
+const renderedVehicleMarkers = new Map(); // vehicle id -> marker
+
+function renderMapVehicleControls() {
+    const el = document.getElementById('map-vehicles-controls');
+    Render.setHtml(el, html`
+        <button class="quick-btn ${mapVehicles.enabled ? 'active' : ''}" data-action="toggle-map-vehicles">${I18n.t('map.buses')}</button>
+        ${mapVehicles.enabled ? html`
+            <input type="text" class="map-vehicles-lines" inputmode="numeric" placeholder="${I18n.t('map.allLines')}"
+                   value="${mapVehicles.lines.join(', ')}" data-action="edit-map-vehicle-lines">
+            ${activeLines.size > 0 ? html`<button class="quick-btn" data-action="set-map-vehicle-lines" data-lines="${[...activeLines].join(',')}">${I18n.t('map.thisStop')}</button>` : ''}
+        ` : ''}
+    `);
+}
+
+function saveMapVehicles() {
+    saveStored('paragem.mapVehicles', mapVehicles);
+    renderMapVehicleControls();
+    refreshMapVehicles();
+}
+
+window.toggleMapVehicles = function () {
+    mapVehicles.enabled = !mapVehicles.enabled;
+    saveMapVehicles();
+};
+
+window.setMapVehicleLines = function (value) {
+    mapVehicles.lines = value.split(/[\s,]+/).filter(line => /^\d{4}$/.test(line));
+    saveMapVehicles();
+};
+
+// Runs on the arrivals polling cadence; only does work while the layer is on screen
+async function refreshMapVehicles() {
+    if (!mapVehiclesLayer) return;
+
+    const visible = mapVehicles.enabled && document.getElementById('map-modal').classList.contains('show');
+    if (!visible) {
+        mapVehiclesLayer.clearLayers();
+        renderedVehicleMarkers.clear();
+        return;
+    }
+
+    const vehicles = await getVehicles();
+    if (!mapVehicles.enabled) return;
+
+    const shown = vehicles.filter(v => v.lat && v.lon && v.line_id &&
+        (mapVehicles.lines.length === 0 || mapVehicles.lines.includes(v.line_id)));
+    const shownIds = new Set(shown.map(v => v.id));
+
+    renderedVehicleMarkers.forEach((marker, id) => {
+        if (!shownIds.has(id)) {
+            mapVehiclesLayer.removeLayer(marker);
+            renderedVehicleMarkers.delete(id);
+        }
+    });
+
+    shown.forEach(vehicle => {
+        const color = getLineColor(vehicle.line_id);
+        const icon = createBusIcon(vehicle.bearing, color);
+        let marker = renderedVehicleMarkers.get(vehicle.id);
+
+        if (marker) {
+            marker.setLatLng([vehicle.lat, vehicle.lon]);
+            marker.setIcon(icon);
+        } else {
+            marker = L.marker([vehicle.lat, vehicle.lon], { icon, zIndexOffset: 1000 })
+                .bindTooltip('', { direction: 'top', offset: [0, -10] })
+                .addTo(mapVehiclesLayer);
+            marker.on('click', () => openMapVehicleTrip(marker.vehicle));
+            renderedVehicleMarkers.set(vehicle.id, marker);
+        }
+        marker.vehicle = vehicle;
+        marker.setTooltipContent(getPopupHtml(vehicle, html`<b style="color:${color}">${I18n.t('map.line', { lineId: vehicle.line_id })}</b>`));
+    });
+}
+
+function openMapVehicleTrip(vehicle) {
+    if (!vehicle.trip_id) return;
+    openTripDetail(vehicle.trip_id, vehicle.line_id, vehicle.id, null);
+}
+
 // --- Bus Location Map ---
 let activeBusMap = null;
 let mapFreeMode = false;
@@ -827,9 +2185,7 @@ async function getVehicles() {
     const now = Date.now();
     if (vehiclesCache && (now - lastVehiclesUpdate) < 15000) return vehiclesCache;
     try {
-        const res = await fetch('https://api.cmet.pt/vehicles');
-        if (!res.ok) throw new Error('Failed');
-        vehiclesCache = await res.json();
+        vehiclesCache = await ApiClient.fetchVehicles();
         lastVehiclesUpdate = now;
         return vehiclesCache;
     } catch (e) {
@@ -838,34 +2194,337 @@ async function getVehicles() {
     }
 }
 
+// Arrow pointing along the bus bearing, in the line colour
+function createBusIcon(bearing, color) {
+    return L.divIcon({
+        className: 'bus-marker-icon',
+        html: String(html`
+            <div style="transform: rotate(${Number(bearing) || 0}deg); width: 24px; height: 24px; display: flex; align-items: center; justify-content: center;">
+                <svg width="20" height="24" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg" style="filter: drop-shadow(0 2px 4px rgba(0,0,0,0.3));">
+                    <path d="M12 2L4.5 20L12 17L19.5 20L12 2Z" fill="${color}" stroke="white" stroke-width="2" stroke-linejoin="round"/>
+                </svg>
+            </div>`),
+        iconSize: [24, 24],
+        iconAnchor: [12, 12]
+    });
+}
+
+// --- Route Geometry & Bus Animation ---
+// Shapes are a few km long, so a flat local projection in metres is precise enough
+const SNAP_MAX_M = 60; // farther than this from the shape, trust the raw GPS position
+const BUS_ANIMATION_MS = 4000;
+const routesCache = new Map(); // shape_id -> route
+
+let busTrack = null; // the bus drawn on the open per-arrival map
+
+function projectPoint(lat, lon, lat0) {
+    return { x: lon * 111320 * Math.cos(lat0 * Math.PI / 180), y: lat * 110540 };
+}
+
+function shapeCoordinates(geojson) {
+    const geometry = geojson.type === 'FeatureCollection' ? (geojson.features[0] || {}).geometry
+        : geojson.type === 'Feature' ? geojson.geometry
+            : geojson;
+    if (!geometry) return [];
+    if (geometry.type === 'LineString') return geometry.coordinates;
+    if (geometry.type === 'MultiLineString') return geometry.coordinates.flat();
+    return [];
+}
+
+// Shape as points with their distance along it ("along", metres from the start)
+function getRoute(shapeId, geojson) {
+    if (routesCache.has(shapeId)) return routesCache.get(shapeId);
+
+    const coords = shapeCoordinates(geojson);
+    if (coords.length < 2) return null;
+
+    const lat0 = coords[0][1];
+    const points = [];
+    let length = 0;
+    coords.forEach(([lon, lat]) => {
+        const point = { lat, lon, ...projectPoint(lat, lon, lat0) };
+        const prev = points[points.length - 1];
+        if (prev) {
+            const step = Math.hypot(point.x - prev.x, point.y - prev.y);
+            if (step < 0.5) return; // repeated vertices would have no heading
+            length += step;
+        }
+        point.along = length;
+        points.push(point);
+    });
+    if (points.length < 2) return null;
+
+    const route = { lat0, points, length };
+    routesCache.set(shapeId, route);
+    return route;
+}
+
+// Closest point of the route. With a hint (the last known "along"), readings that
+// would send the bus backwards are only used when nothing else is near, so loops
+// and out-and-back routes don't make it jump to the other side of the road.
+function snapToRoute(route, lat, lon, hint = null) {
+    const q = projectPoint(lat, lon, route.lat0);
+    let best = null;
+
+    for (let i = 1; i < route.points.length; i++) {
+        const a = route.points[i - 1];
+        const b = route.points[i];
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const segment = b.along - a.along;
+        const t = Math.max(0, Math.min(1, ((q.x - a.x) * dx + (q.y - a.y) * dy) / (segment * segment)));
+        const offset = Math.hypot(a.x + t * dx - q.x, a.y + t * dy - q.y);
+        const along = a.along + t * segment;
+        const score = offset + (hint !== null && along < hint - SNAP_MAX_M ? 1000 : 0);
+        if (!best || score < best.score) best = { score, offset, along };
+    }
+    return best;
+}
+
+// Position and heading (degrees from north) at a distance along the route
+function pointAtDistance(route, along) {
+    const points = route.points;
+    const d = Math.max(0, Math.min(route.length, along));
+    let i = 1;
+    while (i < points.length - 1 && points[i].along < d) i++;
+
+    const a = points[i - 1];
+    const b = points[i];
+    const t = (d - a.along) / (b.along - a.along);
+    return {
+        lat: a.lat + t * (b.lat - a.lat),
+        lon: a.lon + t * (b.lon - a.lon),
+        bearing: (Math.atan2(b.x - a.x, b.y - a.y) * 180 / Math.PI + 360) % 360
+    };
+}
+
+function routeBetween(route, from, to) {
+    const latLngs = [pointAtDistance(route, from)];
+    route.points.forEach(p => {
+        if (p.along > from && p.along < to) latLngs.push(p);
+    });
+    latLngs.push(pointAtDistance(route, to));
+    return latLngs.map(p => [p.lat, p.lon]);
+}
+
+// Where to draw a position report: on the shape when the bus is close enough to it
+function trackTarget(track, vehicle) {
+    if (track.route) {
+        const snap = snapToRoute(track.route, vehicle.lat, vehicle.lon, track.along);
+        if (snap.offset <= SNAP_MAX_M) {
+            return { along: snap.along, ...pointAtDistance(track.route, snap.along) };
+        }
+    }
+    return { along: null, lat: vehicle.lat, lon: vehicle.lon, bearing: vehicle.bearing || 0 };
+}
+
+function drawBusTrack(track, pos) {
+    Object.assign(track, pos);
+    track.marker.setLatLng([pos.lat, pos.lon]);
+
+    // Rotate in place, a new icon every frame would flicker
+    const el = track.marker.getElement();
+    if (el && el.firstElementChild) el.firstElementChild.style.transform = `rotate(${pos.bearing}deg)`;
+
+    if (track.aheadLine) {
+        const ahead = pos.along !== null && track.stopDistance !== null && pos.along < track.stopDistance;
+        track.aheadLine.setLatLngs(ahead ? routeBetween(track.route, pos.along, track.stopDistance) : []);
+    }
+    if (track.fallbackLine) {
+        track.fallbackLine.setLatLngs([[pos.lat, pos.lon], track.stopLatLng]);
+    }
+}
+
+// Glide from the drawn position to the new report: along the shape when the bus
+// moved forward on it, in a straight line otherwise. Big jumps are not animated.
+function moveBusTrack(track, vehicle) {
+    cancelAnimationFrame(track.frame);
+
+    const from = { along: track.along, lat: track.lat, lon: track.lon, bearing: track.bearing };
+    const to = trackTarget(track, vehicle);
+    const moved = distanceMeters(from.lat, from.lon, to.lat, to.lon);
+    if (moved < 1 || moved > 2000) {
+        drawBusTrack(track, to);
+        return;
+    }
+
+    const onRoute = from.along !== null && to.along !== null && to.along >= from.along;
+    const start = performance.now();
+    const step = (now) => {
+        if (busTrack !== track || track.map !== activeBusMap) return;
+        const t = Math.min(1, (now - start) / BUS_ANIMATION_MS);
+
+        if (onRoute) {
+            const along = from.along + (to.along - from.along) * t;
+            drawBusTrack(track, { along, ...pointAtDistance(track.route, along) });
+        } else {
+            drawBusTrack(track, {
+                along: t < 1 ? null : to.along,
+                lat: from.lat + (to.lat - from.lat) * t,
+                lon: from.lon + (to.lon - from.lon) * t,
+                bearing: to.bearing
+            });
+        }
+        if (t < 1) track.frame = requestAnimationFrame(step);
+    };
+    track.frame = requestAnimationFrame(step);
+}
+
+// --- Route Progress ---
+// Our own view of each live bus: distance left along the shape to my stop, and an
+// ETA from the progress it actually made over its last few position reports.
+const SPEED_WINDOW_MS = 5 * 60 * 1000;
+const MIN_SPEED_WINDOW_MS = 30000;
+const MIN_SPEED_MS = 1; // m/s; slower than this the bus is held up, no ETA
+const ETA_WARN_MIN = 3;
+
+const vehicleProgress = new Map(); // vehicle id -> [{ t, along, speed, patternId }]
+const routeEstimates = new Map(); // vehicle id -> { distance, etaMinutes, passed }
+const stopAlongCache = new Map(); // `${shapeId}:${stopId}` -> metres along the shape, or null
+
+function getStopAlong(shapeId, route, stop) {
+    const key = `${shapeId}:${stop.stop_id}`;
+    if (!stopAlongCache.has(key)) {
+        const snap = snapToRoute(route, stop.latNum, stop.lonNum);
+        stopAlongCache.set(key, snap.offset <= SNAP_MAX_M ? snap.along : null);
+    }
+    return stopAlongCache.get(key);
+}
+
+async function refreshRouteEstimates(arrivals) {
+    const live = arrivals.filter(bus => bus.isRealtime && bus.vehicleId && bus.patternId);
+    if (live.length === 0) return;
+
+    const [vehicles] = await Promise.all([getVehicles(), loadStopTiles(live.map(bus => bus.stopId))]);
+    await Promise.all(live.map(async bus => {
+        const vehicle = findVehicle(vehicles, bus.vehicleId);
+        const pattern = await getPattern(bus.patternId);
+        const geojson = pattern && pattern.shape_id ? await getShape(pattern.shape_id) : null;
+        const route = geojson && getRoute(pattern.shape_id, geojson);
+        const stop = stopsById.get(bus.stopId);
+        const stopAlong = route && stop && stop.latNum !== undefined ? getStopAlong(pattern.shape_id, route, stop) : null;
+
+        const estimate = vehicle && stopAlong !== null ? estimateRouteProgress(bus, vehicle, route, stopAlong) : null;
+        if (estimate) routeEstimates.set(bus.vehicleId, estimate);
+        else routeEstimates.delete(bus.vehicleId);
+    }));
+
+    // Forget buses we have not heard from in a while
+    const now = ServiceTime.now().getTime();
+    vehicleProgress.forEach((samples, id) => {
+        if (now - samples[samples.length - 1].t > SPEED_WINDOW_MS) {
+            vehicleProgress.delete(id);
+            routeEstimates.delete(id);
+        }
+    });
+
+    renderRouteEstimates();
+}
+
+function estimateRouteProgress(bus, vehicle, route, stopAlong) {
+    const samples = (vehicleProgress.get(bus.vehicleId) || []).filter(sample => sample.patternId === bus.patternId);
+    const last = samples[samples.length - 1];
+    const snap = snapToRoute(route, vehicle.lat, vehicle.lon, last ? last.along : null);
+    if (snap.offset > SNAP_MAX_M) return null;
+
+    const t = vehicle.timestamp ? vehicle.timestamp * 1000 : ServiceTime.now().getTime();
+    if (!last || t > last.t) {
+        samples.push({ t, along: snap.along, speed: vehicle.speed, patternId: bus.patternId });
+    }
+    const recent = samples.filter(sample => t - sample.t <= SPEED_WINDOW_MS);
+    vehicleProgress.set(bus.vehicleId, recent);
+
+    const distance = stopAlong - snap.along;
+    if (distance < -SNAP_MAX_M) return { distance: 0, etaMinutes: null, passed: true };
+
+    // Progress along the shape over the window, or the reported GPS speeds until we have one
+    let speed = null;
+    const first = recent[0];
+    if (t - first.t >= MIN_SPEED_WINDOW_MS) {
+        speed = (snap.along - first.along) / ((t - first.t) / 1000);
+    } else {
+        const reported = recent.map(sample => sample.speed).filter(v => v > 0);
+        if (reported.length > 0) speed = reported.reduce((sum, v) => sum + v, 0) / reported.length;
+    }
+
+    const remaining = Math.max(0, distance);
+    const etaMinutes = speed >= MIN_SPEED_MS
+        ? Math.max(0, ServiceTime.minutesUntil(new Date(t + remaining / speed * 1000)))
+        : null;
+    return { distance: remaining, etaMinutes, passed: false };
+}
+
+function routeEstimateHtml(vehicleId, apiMinutes) {
+    const estimate = routeEstimates.get(vehicleId);
+    if (!estimate) return '';
+    if (estimate.passed) {
+        return html`<div class="route-eta warn" title="${I18n.t('estimate.passedTitle')}">${I18n.t('estimate.passed')}</div>`;
+    }
+
+    const differs = estimate.etaMinutes !== null &&
+        Math.abs(estimate.etaMinutes - apiMinutes) >= Math.max(ETA_WARN_MIN, apiMinutes / 2);
+    const eta = estimate.etaMinutes === null ? '' : html`
+        <div class="route-eta ${differs ? 'warn' : ''}"
+             title="${I18n.t(differs ? 'estimate.differsTitle' : 'estimate.speedTitle')}">
+            ${differs ? '⚠ ' : ''}~${estimate.etaMinutes} min
+        </div>`;
+    return html`<div class="route-distance">${I18n.formatDistance(estimate.distance)}</div>${eta}`;
+}
+
+function renderRouteEstimates() {
+    document.querySelectorAll('.route-estimate[data-vehicle-id]').forEach(el => {
+        Render.setHtml(el, routeEstimateHtml(el.dataset.vehicleId, Number(el.dataset.minutes)));
+    });
+}
+
+// Realtime and vehicle feeds do not always agree on the operator prefix of the id
+function findVehicle(vehicles, vehicleId) {
+    return vehicles.find(v => v.id === vehicleId) ||
+        vehicles.find(v => v.id && vehicleId.endsWith(v.id)) ||
+        vehicles.find(v => v.id && v.id.endsWith(vehicleId));
+}
+
+// Stop the tracked bus calls at; differs from currentStopId in merged groups
+function getArrivalStopId(vehicleId) {
+    const arrival = cachedArrivals.find(a => a.vehicleId === vehicleId);
+    return arrival ? arrival.stopId : getGroupStops(currentStopId)[0];
+}
+
 function getPopupHtml(vehicle, stopsInfo) {
     const id = vehicle.id.split('|')[1] || vehicle.id;
-    const speed = (vehicle.speed !== undefined) ? Math.round(vehicle.speed * 3.6) + ' km/h' : '-';
-    let status = 'Moving';
-    if (vehicle.current_status === 'STOPPED_AT') status = 'Stopped';
-    if (vehicle.current_status === 'IN_TRANSIT_TO') status = 'In Transit';
+    const speed = (vehicle.speed !== undefined) ? `${I18n.formatNumber(Math.round(vehicle.speed * 3.6))} km/h` : '-';
+    let status = I18n.t('bus.moving');
+    if (vehicle.current_status === 'STOPPED_AT') status = I18n.t('bus.stopped');
+    if (vehicle.current_status === 'IN_TRANSIT_TO') status = I18n.t('bus.inTransit');
 
-    let timeText = 'Just now';
+    let timeText = I18n.t('bus.justNow');
     if (vehicle.timestamp) {
-        const diff = Math.floor(Date.now() / 1000 - vehicle.timestamp);
-        if (diff > 60) timeText = Math.floor(diff / 60) + 'm ago';
-        else if (diff > 0) timeText = diff + 's ago';
+        const diff = Math.floor(ServiceTime.now().getTime() / 1000 - vehicle.timestamp);
+        if (diff > 60) timeText = I18n.t('bus.minutesAgo', { count: Math.floor(diff / 60) });
+        else if (diff > 0) timeText = I18n.t('bus.secondsAgo', { count: diff });
     }
 
-    return `
+    // Leaflet takes popup and tooltip content as a string
+    return String(html`
         <div style="min-width:140px; font-size:12px; line-height:1.4;">
             <div style="display:flex; justify-content:space-between; align-items:center; border-bottom:1px solid #e2e8f0; padding-bottom:4px; margin-bottom:4px;">
-                <b style="font-size:14px;">Bus #${id}</b>
+                <b style="font-size:14px;">${I18n.t('bus.title', { id })}</b>
                  <span style="font-size:10px; background:#f1f5f9; padding:1px 4px; border-radius:4px; color:#475569;">${status}</span>
             </div>
-            ${stopsInfo || ''}
+            ${stopsInfo}
             <div style="display:grid; grid-template-columns: auto auto; gap:2px 8px; margin-top:4px; color:#64748b;">
-                <span>Speed:</span> <b style="color:#0f172a;">${speed}</b>
-                <span>Updated:</span> <b style="color:#0f172a;">${timeText}</b>
-                <span>Trip:</span> <span style="font-family:monospace;">${vehicle.trip_id ? vehicle.trip_id.split('_').pop() : '-'}</span>
+                <span>${I18n.t('bus.speed')}</span> <b style="color:#0f172a;">${speed}</b>
+                <span>${I18n.t('bus.updated')}</span> <b style="color:#0f172a;">${timeText}</b>
+                <span>${I18n.t('bus.trip')}</span> <span style="font-family:monospace;">${vehicle.trip_id ? vehicle.trip_id.split('_').pop() : '-'}</span>
             </div>
         </div>
-    `;
+    `);
+}
+
+function stopsAwayHtml(stopsAway, color) {
+    return stopsAway >= 0
+        ? html`<div style="margin-top:4px; font-weight:700; color:${color}">${I18n.t('bus.stopsAway', { count: stopsAway })}</div>`
+        : html`<div style="margin-top:4px; font-weight:700; color:#ef4444">${I18n.t('bus.passed')}</div>`;
 }
 
 async function getPattern(patternId) {
@@ -873,10 +2532,7 @@ async function getPattern(patternId) {
     if (patternsCache.has(patternId)) return patternsCache.get(patternId);
 
     try {
-        // User example logic
-        const res = await fetch(`https://api.cmet.pt/patterns/${patternId}`);
-        if (!res.ok) return null;
-        let data = await res.json();
+        let data = await ApiClient.fetchPattern(patternId);
         if (Array.isArray(data)) data = data[0];
         patternsCache.set(patternId, data);
         return data;
@@ -888,9 +2544,7 @@ async function getShape(shapeId) {
     if (shapesCache.has(shapeId)) return shapesCache.get(shapeId);
 
     try {
-        const res = await fetch(`https://api.cmet.pt/shapes/${shapeId}`);
-        if (!res.ok) return null;
-        const data = await res.json();
+        const data = await ApiClient.fetchShape(shapeId);
         const geojson = data.geojson;
         if (geojson) {
             shapesCache.set(shapeId, geojson);
@@ -899,18 +2553,26 @@ async function getShape(shapeId) {
     } catch (e) { return null; }
 }
 
+// The row's main button says whether the map under it is open
+function setBusMapExpanded(mapContainer, expanded) {
+    const button = mapContainer.parentElement && mapContainer.parentElement.querySelector('.arrival-main');
+    if (button) button.setAttribute('aria-expanded', expanded);
+}
+
 window.toggleBusMap = async function (el, tripId, lineId, vehicleId) {
     if (!vehicleId || vehicleId === 'undefined') return;
 
     currentMapLineId = lineId;
     const uniqueId = `v${vehicleId}`;
-    const mapContainer = document.getElementById(`bus-map-${tripId || 'unknown'}`) || el.nextElementSibling;
+    const mapContainer = document.getElementById(`bus-map-${tripId || 'unknown'}`);
     if (!mapContainer?.classList.contains('bus-map-container')) return;
 
     // Close if Open
     if (mapContainer.classList.contains('open')) {
         mapContainer.classList.remove('open');
+        setBusMapExpanded(mapContainer, false);
         activeBusMapId = null;
+        syncUrl(false);
         setTimeout(() => {
             if (activeBusMap && activeBusMapId === uniqueId) {
                 activeBusMap.remove(); activeBusMap = null; mapContainer.innerHTML = '';
@@ -922,6 +2584,7 @@ window.toggleBusMap = async function (el, tripId, lineId, vehicleId) {
     // Close Others
     document.querySelectorAll('.bus-map-container.open').forEach(c => {
         c.classList.remove('open');
+        setBusMapExpanded(c, false);
         setTimeout(() => c !== mapContainer && (c.innerHTML = ''), 300);
     });
 
@@ -929,21 +2592,21 @@ window.toggleBusMap = async function (el, tripId, lineId, vehicleId) {
 
     // Init Open
     mapContainer.classList.add('open');
+    setBusMapExpanded(mapContainer, true);
     activeBusMapId = uniqueId;
+    syncUrl(false);
     if (!vehiclesCache) {
-        mapContainer.innerHTML = '<div style="display:flex;align-items:center;justify-content:center;height:100%;color:#64748b;font-size:13px;font-weight:600;"><div class="spinner" style="width:16px;height:16px;margin:0 8px 0 0;border-width:2px;"></div>Locating...</div>';
+        Render.setHtml(mapContainer, html`<div style="display:flex;align-items:center;justify-content:center;height:100%;color:#64748b;font-size:13px;font-weight:600;"><div class="spinner" style="width:16px;height:16px;margin:0 8px 0 0;border-width:2px;"></div>${I18n.t('bus.locating')}</div>`);
     }
 
-    // Find Vehicle
-    const vehicles = await getVehicles();
-    const vehicle = vehicles.find(v => v.id === vehicleId) ||
-        vehicles.find(v => v.id && vehicleId.endsWith(v.id)) ||
-        vehicles.find(v => v.id && v.id.endsWith(vehicleId));
+    // Find Vehicle (and the coordinates of the stop it calls at)
+    const [vehicles] = await Promise.all([getVehicles(), loadStopTiles([getArrivalStopId(vehicleId)])]);
+    const vehicle = findVehicle(vehicles, vehicleId);
 
     if (!mapContainer.classList.contains('open')) return;
 
     if (!vehicle) {
-        mapContainer.innerHTML = `<div style="display:flex;align-items:center;justify-content:center;height:100%;color:#ef4444;font-size:13px;">Signal lost for Bus #${vehicleId.split('|')[1] || vehicleId}</div>`;
+        Render.setHtml(mapContainer, html`<div style="display:flex;align-items:center;justify-content:center;height:100%;color:#ef4444;font-size:13px;">${I18n.t('bus.signalLost', { id: vehicleId.split('|')[1] || vehicleId })}</div>`);
         return;
     }
 
@@ -981,66 +2644,78 @@ window.toggleBusMap = async function (el, tripId, lineId, vehicleId) {
     const bounds = new L.LatLngBounds();
     const color = getLineColor(lineId);
 
-    // Marker
-    const bearing = vehicle.bearing || 0;
-    const icon = L.divIcon({
-        className: 'bus-marker-icon',
-        html: `
-            <div style="transform: rotate(${bearing}deg); width: 24px; height: 24px; display: flex; align-items: center; justify-content: center;">
-                <svg width="20" height="24" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg" style="filter: drop-shadow(0 2px 4px rgba(0,0,0,0.3));">
-                    <path d="M12 2L4.5 20L12 17L19.5 20L12 2Z" fill="${color}" stroke="white" stroke-width="2" stroke-linejoin="round"/>
-                </svg>
-            </div>`,
-        iconSize: [24, 24],
-        iconAnchor: [12, 12]
-    });
-    L.marker([vehicle.lat, vehicle.lon], { icon, zIndexOffset: 1000 }).addTo(activeBusMap)
-        .bindPopup(`Bus #${vehicle.id.split('|')[1] || vehicle.id}`, { closeButton: false });
+    // Marker
+    const icon = createBusIcon(vehicle.bearing, color);
+    const busMarker = L.marker([vehicle.lat, vehicle.lon], { icon, zIndexOffset: 1000 }).addTo(activeBusMap)
+        .bindPopup(Render.escapeHtml(I18n.t('bus.title', { id: vehicle.id.split('|')[1] || vehicle.id })), { closeButton: false });
     bounds.extend([vehicle.lat, vehicle.lon]);
 
-    // Stop & Path
-    const stop = allStops.find(s => s.stop_id === currentStopId);
-    if (stop) {
+    const track = {
+        map: activeBusMap,
+        marker: busMarker,
+        route: null,
+        stopDistance: null,
+        aheadLine: null,
+        fallbackLine: null,
+        stopLatLng: null,
+        lat: vehicle.lat,
+        lon: vehicle.lon,
+        along: null,
+        bearing: vehicle.bearing || 0,
+        frame: null
+    };
+    busTrack = track;
+
+    // Stop & Path (the member stop this bus calls at, for groups)
+    const arrivalStopId = getArrivalStopId(vehicleId);
+    const stop = stopsById.get(arrivalStopId);
+    if (stop && stop.latNum !== undefined) {
         const stopIcon = L.divIcon({
             className: 'stop-marker-icon',
             html: `<div style="background-color:#0f172a; width:12px; height:12px; border-radius:50%; border:2px solid white; box-shadow:0 2px 4px rgba(0,0,0,0.2);"></div>`,
             iconSize: [12, 12]
         });
-        L.marker([stop.lat, stop.lon], { icon: stopIcon }).addTo(activeBusMap).bindPopup(stop.name, { closeButton: false });
+        L.marker([stop.lat, stop.lon], { icon: stopIcon }).addTo(activeBusMap).bindPopup(Render.escapeHtml(stop.name), { closeButton: false });
         bounds.extend([stop.lat, stop.lon]);
 
         // Draw Shape & Calculate Stops Info
-        let stopsInfo = '';
+        let stopsInfo = null;
         if (vehicle.pattern_id) {
             const pattern = await getPattern(vehicle.pattern_id);
             if (pattern) {
-                // GeoJSON Shape
+                // GeoJSON Shape, faded, with the stretch still to ride highlighted
                 if (pattern.shape_id) {
                     const geojson = await getShape(pattern.shape_id);
-                    if (geojson) {
+                    const route = geojson && getRoute(pattern.shape_id, geojson);
+                    if (route && busTrack === track && track.map === activeBusMap) {
                         L.geoJSON(geojson, {
-                            style: { color: color, weight: 4, opacity: 0.6, lineCap: 'round', lineJoin: 'round' }
+                            style: { color: color, weight: 4, opacity: 0.25, lineCap: 'round', lineJoin: 'round' }
+                        }).addTo(activeBusMap);
+                        track.route = route;
+                        const stopSnap = snapToRoute(route, stop.latNum, stop.lonNum);
+                        track.stopDistance = stopSnap.offset <= SNAP_MAX_M ? stopSnap.along : null;
+                        track.aheadLine = L.polyline([], {
+                            color: color, weight: 6, opacity: 0.9, lineCap: 'round', lineJoin: 'round'
                         }).addTo(activeBusMap);
+                        drawBusTrack(track, trackTarget(track, vehicle));
                         // We do not fit bounds to shape, only bus+stop
                     }
                 }
 
                 // Calculate Stops Away (Optional but nice)
                 if (pattern.path && vehicle.current_stop_sequence) {
-                    const stopNode = pattern.path.find(p => p.stop_id === currentStopId);
+                    const stopNode = pattern.path.find(p => p.stop_id === arrivalStopId);
                     if (stopNode) {
-                        const stopsAway = stopNode.stop_sequence - vehicle.current_stop_sequence;
-                        if (stopsAway >= 0) {
-                            stopsInfo = `<div style="margin-top:4px; font-weight:700; color:${color}">${stopsAway} stops away</div>`;
-                        } else {
-                            stopsInfo = `<div style="margin-top:4px; font-weight:700; color:#ef4444">Vehicle passed</div>`;
-                        }
+                        stopsInfo = stopsAwayHtml(stopNode.stop_sequence - vehicle.current_stop_sequence, color);
                     }
                 }
             }
-        } else {
-            // Fallback if no pattern
-            L.polyline([[vehicle.lat, vehicle.lon], [stop.lat, stop.lon]], {
+        }
+
+        // Fallback if there is no shape to follow
+        if (!track.route && busTrack === track && track.map === activeBusMap) {
+            track.stopLatLng = [stop.lat, stop.lon];
+            track.fallbackLine = L.polyline([[track.lat, track.lon], track.stopLatLng], {
                 color: '#64748b', weight: 2, dashArray: '5, 10', opacity: 0.5
             }).addTo(activeBusMap);
         }
@@ -1112,11 +2787,988 @@ window.toggleBusMap = async function (el, tripId, lineId, vehicleId) {
     }, 250);
 };
 
+// --- Trip Detail ---
+const TRIP_REFRESH_MS = 10000;
+const FALLBACK_MS_PER_STOP = 90000; // when neither schedule nor live timing can help
+
+let tripDetail = null; // { tripId, lineId, vehicleId, stopId, patternId, destination, arrivalTs }
+let tripDetailTimer = null;
+
+// Pattern paths come as { stop_id } or { stop: { id, name } } depending on the endpoint
+function pathStopId(node) {
+    return node.stop_id || (node.stop && node.stop.id);
+}
+
+function pathStopName(node) {
+    const stop = allStops.find(s => s.stop_id === pathStopId(node));
+    if (stop) return stop.name;
+    return (node.stop && node.stop.name) || pathStopId(node);
+}
+
+window.openTripDetail = function (tripId, lineId, vehicleId, stopId) {
+    const bus = cachedArrivals.find(b => b.tripId === tripId && b.lineId === lineId);
+    tripDetail = {
+        tripId,
+        lineId,
+        vehicleId: vehicleId || null,
+        stopId,
+        patternId: bus ? bus.patternId : null,
+        destination: bus ? bus.destination : '',
+        arrivalTs: bus ? bus.arrivalTs : null
+    };
+
+    const modal = document.getElementById('trip-modal');
+    modal.classList.add('show');
+    Render.setHtml(document.getElementById('trip-content'), html`
+        <div class="loading">
+            <div class="spinner"></div>
+            <div>${I18n.t('trip.loading')}</div>
+        </div>
+    `);
+    refreshTripDetail();
+};
+
+window.closeTripDetail = function () {
+    clearTimeout(tripDetailTimer);
+    tripDetail = null;
+    document.getElementById('trip-modal').classList.remove('show');
+};
+
+async function refreshTripDetail() {
+    clearTimeout(tripDetailTimer);
+    if (!tripDetail) return;
+    const detail = tripDetail;
+
+    // Keep timing and vehicle in step with the arrivals list
+    const bus = cachedArrivals.find(b => b.tripId === detail.tripId);
+    if (bus) {
+        detail.arrivalTs = bus.arrivalTs;
+        detail.vehicleId = bus.vehicleId || detail.vehicleId;
+        detail.patternId = bus.patternId || detail.patternId;
+    }
+
+    const vehicle = detail.vehicleId ? findVehicle(await getVehicles(), detail.vehicleId) : null;
+    const pattern = await getPattern(detail.patternId || (vehicle && vehicle.pattern_id));
+    if (tripDetail !== detail) return;
+
+    if (!pattern || !pattern.path) {
+        Render.setHtml(document.getElementById('trip-content'), html`<div class="empty">${I18n.t('trip.noSequence')}</div>`);
+    } else {
+        renderTripDetail(pattern, vehicle);
+    }
+    tripDetailTimer = setTimeout(refreshTripDetail, TRIP_REFRESH_MS);
+}
+
+// Estimated instant at every stop of the path, keyed by stop_sequence
+function estimateStopTimes(pattern, detail, currentSeq) {
+    const times = new Map();
+    const path = pattern.path;
+    const myNode = path.find(p => pathStopId(p) === detail.stopId);
+
+    // Best: the trip's own schedule shifted by the delay observed at my stop
+    const trip = (pattern.trips || []).find(t => t.trip_id === detail.tripId || t.id === detail.tripId);
+    if (trip && trip.schedule) {
+        const scheduled = new Map();
+        trip.schedule.forEach(entry => {
+            const instant = ServiceTime.serviceTimeToInstant(entry.arrival_time || entry.arrival_time_operation);
+            if (instant) scheduled.set(entry.stop_sequence, instant.getTime());
+        });
+        const myScheduled = myNode ? scheduled.get(myNode.stop_sequence) : null;
+        const delay = myScheduled && detail.arrivalTs ? detail.arrivalTs - myScheduled : 0;
+        scheduled.forEach((ts, seq) => times.set(seq, ts + delay));
+        return times;
+    }
+
+    // Otherwise spread the remaining time over the distance still to travel
+    if (!myNode || !detail.arrivalTs) return times;
+    let travelled = 0;
+    const cumulative = new Map();
+    path.forEach(node => {
+        travelled += Number(node.distance_delta) || 1;
+        cumulative.set(node.stop_sequence, travelled);
+    });
+
+    const now = ServiceTime.now().getTime();
+    const fromSeq = currentSeq || myNode.stop_sequence;
+    const span = cumulative.get(myNode.stop_sequence) - (cumulative.get(fromSeq) || 0);
+    const remainingMs = detail.arrivalTs - now;
+    const msPerUnit = span > 0 && remainingMs > 0 ? remainingMs / span : null;
+
+    path.forEach(node => {
+        if (node.stop_sequence < fromSeq) return;
+        const units = cumulative.get(node.stop_sequence) - (cumulative.get(fromSeq) || 0);
+        const stopsFromMine = node.stop_sequence - myNode.stop_sequence;
+        times.set(node.stop_sequence, msPerUnit !== null
+            ? now + units * msPerUnit
+            : detail.arrivalTs + stopsFromMine * FALLBACK_MS_PER_STOP);
+    });
+    return times;
+}
+
+function renderTripDetail(pattern, vehicle) {
+    const detail = tripDetail;
+    const currentSeq = vehicle && vehicle.trip_id === detail.tripId ? vehicle.current_stop_sequence : null;
+    const times = estimateStopTimes(pattern, detail, currentSeq);
+    const color = getLineColor(detail.lineId);
+
+    Render.setHtml(document.getElementById('trip-title'), html`
+        <span class="line-number suggestion-line-number" style="background-color: ${color}">${detail.lineId}</span>
+        <span class="destination">${detail.destination || pattern.headsign || ''}</span>
+    `);
+
+    const vehicleNote = currentSeq
+        ? html`<div class="trip-note">${I18n.t('trip.live', { id: detail.vehicleId.split('|')[1] || detail.vehicleId })}</div>`
+        : html`<div class="trip-note">${I18n.t('trip.noLive')}</div>`;
+
+    const items = pattern.path.map(node => {
+        const stopId = pathStopId(node);
+        const seq = node.stop_sequence;
+        const classes = ['trip-stop'];
+        if (currentSeq && seq < currentSeq) classes.push('served');
+        if (currentSeq && seq === currentSeq) classes.push('current');
+        if (stopId === detail.stopId) classes.push('mine');
+
+        const ts = times.get(seq);
+        const showTime = ts && (!currentSeq || seq >= currentSeq);
+        const timeHtml = showTime ? ServiceTime.formatServiceClock(new Date(ts)) : '';
+
+        return html`
+            <li class="${classes.join(' ')}" style="--line-color: ${color}">
+                <button type="button" class="trip-stop-select" data-focus-key="stop:${seq}"
+                        data-action="trip-select-stop" data-stop-id="${stopId}" data-stop-name="${pathStopName(node)}">
+                    <span class="trip-dot"></span>
+                    <span class="trip-stop-name">${pathStopName(node)}</span>
+                    ${seq === currentSeq ? html`<span class="trip-bus">🚌</span>` : ''}
+                    <span class="trip-time">${timeHtml}</span>
+                </button>
+            </li>
+        `;
+    });
+
+    const content = document.getElementById('trip-content');
+    const focusKey = captureFocus(content);
+    Render.setHtml(content, html`${vehicleNote}<ol class="trip-stops">${items}</ol>`);
+    restoreFocus(content, focusKey);
+
+    // Bring the bus (or my stop) into view the first time only
+    if (!detail.scrolled) {
+        const list = document.querySelector('.trip-stops');
+        const anchor = list.querySelector('.current') || list.querySelector('.mine');
+        if (anchor) anchor.scrollIntoView({ block: 'center' });
+        detail.scrolled = true;
+    }
+}
+
+// --- Line Explorer ---
+const LINE_REFRESH_MS = 15000;
+
+let lineExplorer = null; // { lineId, line, patterns, patternId }
+let lineMap = null;
+let lineShapeLayer = null;
+let lineStopsLayer = null;
+let lineVehiclesLayer = null;
+let lineExplorerTimer = null;
+
+window.openLineExplorer = async function (lineId) {
+    const state = { lineId, line: null, patterns: [], patternId: null };
+    lineExplorer = state;
+
+    const color = getLineColor(lineId);
+    Render.setHtml(document.getElementById('line-title'), html`
+        <span class="line-number suggestion-line-number" style="background-color: ${color}">${lineId}</span>
+        <span class="destination" id="line-long-name"></span>
+    `);
+    document.getElementById('line-modal').classList.add('show');
+    document.getElementById('line-patterns').innerHTML = '';
+    Render.setHtml(document.getElementById('line-content'), html`
+        <div class="loading">
+            <div class="spinner"></div>
+            <div>${I18n.t('line.loading')}</div>
+        </div>
+    `);
+    initLineMap();
+
+    try {
+        state.line = await ApiClient.fetchLine(lineId);
+    } catch (e) {
+        console.error(e);
+        if (lineExplorer === state) {
+            Render.setHtml(document.getElementById('line-content'), html`<div class="error">${getLoadErrorMessage(e)}</div>`);
+        }
+        return;
+    }
+
+    const patterns = await Promise.all((state.line.patterns || []).map(id => getPattern(id)));
+    if (lineExplorer !== state) return;
+
+    state.patterns = patterns.filter(Boolean)
+        .sort((a, b) => (a.direction_id || 0) - (b.direction_id || 0));
+    document.getElementById('line-long-name').innerText = state.line.long_name || '';
+
+    const startPattern = state.patterns.find(p => p.path && p.path.some(n => getGroupStops(currentStopId).includes(pathStopId(n)))) ||
+        state.patterns[0];
+    selectLinePattern(startPattern ? startPattern.id : null);
+    refreshLineVehicles();
+};
+
+window.closeLineExplorer = function () {
+    clearTimeout(lineExplorerTimer);
+    lineExplorer = null;
+    document.getElementById('line-modal').classList.remove('show');
+};
+
+function initLineMap() {
+    if (lineMap) {
+        lineShapeLayer.clearLayers();
+        lineStopsLayer.clearLayers();
+        lineVehiclesLayer.clearLayers();
+        setTimeout(() => lineMap.invalidateSize(), 100);
+        return;
+    }
+
+    lineMap = L.map('line-map', { attributionControl: false, zoomControl: false }).setView([38.722, -9.139], 11);
+    L.tileLayer('https://{s}.basemaps.cartocdn.com/light_all/{z}/{x}/{y}{r}.png', {
+        maxZoom: 20,
+        subdomains: 'abcd'
+    }).addTo(lineMap);
+    lineShapeLayer = L.layerGroup().addTo(lineMap);
+    lineStopsLayer = L.layerGroup().addTo(lineMap);
+    lineVehiclesLayer = L.layerGroup().addTo(lineMap);
+}
+
+window.selectLinePattern = async function (patternId) {
+    const state = lineExplorer;
+    if (!state) return;
+    state.patternId = patternId;
+
+    Render.setHtml(document.getElementById('line-patterns'), state.patterns.map(p => html`
+        <button class="quick-btn ${p.id === patternId ? 'active' : ''}" data-action="select-line-pattern" data-pattern-id="${p.id}">
+            ${p.direction_id === 1 ? '←' : '→'} ${p.headsign || p.id}
+        </button>
+    `));
+
+    const pattern = state.patterns.find(p => p.id === patternId);
+    if (!pattern || !pattern.path) {
+        Render.setHtml(document.getElementById('line-content'), html`<div class="empty">${I18n.t('line.noStops')}</div>`);
+        return;
+    }
+
+    const color = getLineColor(state.lineId);
+    const myStops = getGroupStops(currentStopId);
+    Render.setHtml(document.getElementById('line-content'), html`
+        <div id="line-vehicles" class="line-vehicles"></div>
+        <ol class="trip-stops">
+            ${pattern.path.map(node => {
+                const stopId = pathStopId(node);
+                return html`
+                    <li class="trip-stop ${myStops.includes(stopId) ? 'mine' : ''}" style="--line-color: ${color}">
+                        <button type="button" class="trip-stop-select" data-action="line-select-stop" data-stop-id="${stopId}" data-stop-name="${pathStopName(node)}">
+                            <span class="trip-dot"></span>
+                            <span class="trip-stop-name">${pathStopName(node)}</span>
+                            <span class="suggestion-id">${stopId}</span>
+                        </button>
+                    </li>
+                `;
+            })}
+        </ol>
+    `);
+
+    // Stops on the map
+    await loadStopTiles(pattern.path.map(pathStopId));
+    if (lineExplorer !== state || state.patternId !== patternId) return;
+    lineStopsLayer.clearLayers();
+    const bounds = new L.LatLngBounds();
+    pattern.path.forEach(node => {
+        const stop = stopsById.get(pathStopId(node));
+        if (!stop || stop.latNum === undefined) return;
+        L.circleMarker([stop.latNum, stop.lonNum], {
+            radius: 4, fillColor: 'white', color, weight: 2, fillOpacity: 1
+        }).bindPopup(Render.escapeHtml(stop.name), { closeButton: false }).addTo(lineStopsLayer);
+        bounds.extend([stop.latNum, stop.lonNum]);
+    });
+
+    // Shape
+    lineShapeLayer.clearLayers();
+    const geojson = pattern.shape_id ? await getShape(pattern.shape_id) : null;
+    if (lineExplorer !== state || state.patternId !== patternId) return;
+    if (geojson) {
+        L.geoJSON(geojson, {
+            style: { color, weight: 4, opacity: 0.7, lineCap: 'round', lineJoin: 'round' }
+        }).addTo(lineShapeLayer);
+    }
+
+    lineMap.invalidateSize();
+    if (bounds.isValid()) lineMap.fitBounds(bounds, { padding: [20, 20] });
+    renderLineVehicles();
+};
+
+async function refreshLineVehicles() {
+    clearTimeout(lineExplorerTimer);
+    if (!lineExplorer) return;
+    const state = lineExplorer;
+
+    const vehicles = await getVehicles();
+    if (lineExplorer !== state) return;
+    state.vehicles = vehicles.filter(v => v.line_id === state.lineId);
+    renderLineVehicles();
+
+    lineExplorerTimer = setTimeout(refreshLineVehicles, LINE_REFRESH_MS);
+}
+
+function renderLineVehicles() {
+    const state = lineExplorer;
+    if (!state || !state.vehicles) return;
+    const color = getLineColor(state.lineId);
+
+    lineVehiclesLayer.clearLayers();
+    state.vehicles.forEach(vehicle => {
+        L.marker([vehicle.lat, vehicle.lon], { icon: createBusIcon(vehicle.bearing, color), zIndexOffset: 1000 })
+            .bindPopup(getPopupHtml(vehicle, null), { closeButton: false })
+            .addTo(lineVehiclesLayer);
+    });
+
+    const listEl = document.getElementById('line-vehicles');
+    if (!listEl) return;
+
+    if (state.vehicles.length === 0) {
+        Render.setHtml(listEl, html`<div class="trip-note">${I18n.t('line.noBuses')}</div>`);
+        return;
+    }
+
+    const focusKey = captureFocus(listEl);
+    Render.setHtml(listEl, html`
+        <div class="trip-note">${I18n.t('line.running', { count: state.vehicles.length })}</div>
+        ${state.vehicles.map(vehicle => {
+            const pattern = state.patterns.find(p => p.id === vehicle.pattern_id);
+            const atStop = allStops.find(s => s.stop_id === vehicle.stop_id);
+            return html`
+                <button type="button" class="line-vehicle" data-focus-key="vehicle:${vehicle.id}"
+                        data-action="focus-line-vehicle" data-vehicle-id="${vehicle.id}">
+                    <span class="vehicle-tag">#${vehicle.id.split('|')[1] || vehicle.id}</span>
+                    <span class="line-vehicle-dest">${pattern ? `→ ${pattern.headsign}` : ''}</span>
+                    <span class="suggestion-detail">${atStop ? atStop.name : ''}</span>
+                </button>
+            `;
+        })}
+    `);
+    restoreFocus(listEl, focusKey);
+}
+
+window.focusLineVehicle = function (vehicleId) {
+    const vehicle = lineExplorer && lineExplorer.vehicles.find(v => v.id === vehicleId);
+    if (!vehicle) return;
+    if (vehicle.pattern_id && vehicle.pattern_id !== lineExplorer.patternId && lineExplorer.patterns.some(p => p.id === vehicle.pattern_id)) {
+        selectLinePattern(vehicle.pattern_id);
+    }
+    lineMap.setView([vehicle.lat, vehicle.lon], 16);
+    lineVehiclesLayer.eachLayer(layer => {
+        const pos = layer.getLatLng();
+        if (pos.lat === vehicle.lat && pos.lng === vehicle.lon) layer.openPopup();
+    });
+};
+
+// --- Timetable ---
+// Whole service day from the patterns' trip schedules, for today or any date
+let timetableDate = null; // { year, month, day }
+let timetableLoadId = 0;
+
+function gtfsDate(serviceDate) {
+    return `${serviceDate.year}${String(serviceDate.month).padStart(2, '0')}${String(serviceDate.day).padStart(2, '0')}`;
+}
+
+function inputDate(serviceDate) {
+    return `${serviceDate.year}-${String(serviceDate.month).padStart(2, '0')}-${String(serviceDate.day).padStart(2, '0')}`;
+}
+
+window.openTimetable = function () {
+    document.getElementById('timetable-title').innerText = I18n.t('timetable.title', { name: document.getElementById('stop-name').innerText });
+    document.getElementById('timetable-modal').classList.add('show');
+    setTimetableDay(0);
+};
+
+window.closeTimetable = function () {
+    timetableLoadId++;
+    document.getElementById('timetable-modal').classList.remove('show');
+};
+
+window.setTimetableDay = function (offset) {
+    timetableDate = ServiceTime.shiftDate(ServiceTime.getCurrentServiceDate(), offset);
+    loadTimetable();
+};
+
+window.setTimetableDate = function (value) {
+    const [year, month, day] = value.split('-').map(Number);
+    if (!year || !month || !day) return;
+    timetableDate = { year, month, day };
+    loadTimetable();
+};
+
+function renderTimetableControls() {
+    const today = ServiceTime.getCurrentServiceDate();
+    const shown = inputDate(timetableDate);
+    Render.setHtml(document.getElementById('timetable-dates'), html`
+        <button class="quick-btn ${shown === inputDate(today) ? 'active' : ''}" data-action="set-timetable-day" data-offset="0">${I18n.t('timetable.today')}</button>
+        <button class="quick-btn ${shown === inputDate(ServiceTime.shiftDate(today, 1)) ? 'active' : ''}" data-action="set-timetable-day" data-offset="1">${I18n.t('timetable.tomorrow')}</button>
+        <input type="date" class="timetable-date" value="${shown}" data-action="set-timetable-date">
+    `);
+}
+
+// Stop info lists the patterns calling there; older data only has lines
+async function getStopPatternIds(stopId) {
+    const info = await fetchStopInfo(stopId);
+    if (info.patterns && info.patterns.length > 0) return info.patterns;
+
+    const lines = await Promise.all((info.lines || []).map(id => ApiClient.fetchLine(id).catch(() => null)));
+    return lines.filter(Boolean).flatMap(line => line.patterns || []);
+}
+
+async function loadTimetable() {
+    const loadId = ++timetableLoadId;
+    const serviceDate = timetableDate;
+    renderTimetableControls();
+    const content = document.getElementById('timetable-content');
+    Render.setHtml(content, html`
+        <div class="loading">
+            <div class="spinner"></div>
+            <div>${I18n.t('timetable.loading')}</div>
+        </div>
+    `);
+
+    const stopIds = getGroupStops(currentStopId);
+    try {
+        const patternIds = new Set((await Promise.all(stopIds.map(getStopPatternIds))).flat());
+        const patterns = (await Promise.all(Array.from(patternIds).map(id => getPattern(id)))).filter(Boolean);
+        if (loadId !== timetableLoadId) return;
+        renderTimetable(buildTimetable(patterns, stopIds, serviceDate), serviceDate);
+    } catch (e) {
+        console.error(e);
+        if (loadId === timetableLoadId) Render.setHtml(content, html`<div class="error">${getLoadErrorMessage(e)}</div>`);
+    }
+}
+
+// Departures at our stop(s), grouped by line and destination
+function buildTimetable(patterns, stopIds, serviceDate) {
+    const day = gtfsDate(serviceDate);
+    const groups = new Map();
+
+    patterns.forEach(pattern => {
+        (pattern.trips || []).forEach(trip => {
+            if (!trip.dates || !trip.dates.includes(day) || !trip.schedule) return;
+
+            trip.schedule.forEach((entry, i) => {
+                // Nobody boards at the terminus
+                if (!stopIds.includes(entry.stop_id) || i === trip.schedule.length - 1) return;
+                const instant = ServiceTime.serviceTimeOnDate(entry.arrival_time || entry.arrival_time_operation, serviceDate);
+                if (!instant) return;
+
+                const key = `${pattern.line_id}|${pattern.headsign}`;
+                if (!groups.has(key)) {
+                    groups.set(key, { lineId: pattern.line_id, headsign: pattern.headsign, departures: [] });
+                }
+                groups.get(key).departures.push({
+                    tripId: trip.id || trip.trip_id,
+                    stopId: entry.stop_id,
+                    scheduledTs: instant.getTime()
+                });
+            });
+        });
+    });
+
+    groups.forEach(group => group.departures.sort((a, b) => a.scheduledTs - b.scheduledTs));
+    return Array.from(groups.values())
+        .sort((a, b) => a.lineId.localeCompare(b.lineId) || a.headsign.localeCompare(b.headsign));
+}
+
+function renderTimetable(groups, serviceDate) {
+    const content = document.getElementById('timetable-content');
+    // Lines the filter can't toggle are always shown
+    const shown = groups.filter(group => activeLines.has(group.lineId) || !availableLines.includes(group.lineId));
+
+    if (shown.length === 0) {
+        Render.setHtml(content, groups.length > 0
+            ? html`<div class="empty">${I18n.t('list.filteredOut')}</div>`
+            : html`<div class="empty">${I18n.t('timetable.empty')}</div>`);
+        return;
+    }
+
+    const now = ServiceTime.now().getTime();
+    const isToday = inputDate(serviceDate) === inputDate(ServiceTime.getCurrentServiceDate());
+    const live = new Map(cachedArrivals.filter(bus => bus.tripId).map(bus => [`${bus.stopId}|${bus.tripId}`, bus]));
+
+    Render.setHtml(content, shown.map(group => {
+        const next = isToday ? group.departures.find(d => d.scheduledTs >= now) : null;
+        return html`
+            <div class="timetable-group">
+                <div class="stats-line-header">
+                    <span class="line-number suggestion-line-number" style="background-color: ${getLineColor(group.lineId)}">${group.lineId}</span>
+                    <span class="destination">${group.headsign}</span>
+                </div>
+                <div class="timetable-times">
+                    ${group.departures.map(departure => {
+                        const bus = live.get(`${departure.stopId}|${departure.tripId}`);
+                        const scheduled = ServiceTime.formatServiceClock(new Date(departure.scheduledTs));
+                        const classes = ['timetable-time'];
+                        if (isToday && departure.scheduledTs < now && !bus) classes.push('past');
+                        if (departure === next) classes.push('next');
+                        if (bus) classes.push(bus.isRealtime ? 'live' : 'est');
+                        return html`
+                            <span class="${classes.join(' ')}">
+                                ${scheduled}${bus && bus.arrivalTime !== scheduled ? html`<small>→ ${bus.arrivalTime}</small>` : ''}
+                            </span>
+                        `;
+                    })}
+                </div>
+            </div>
+        `;
+    }));
+
+    const nextEl = content.querySelector('.timetable-time.next');
+    if (nextEl) nextEl.scrollIntoView({ block: 'center' });
+}
+
+// --- Punctuality History ---
+// Each refresh is compared with the previous one. A trip whose bus is seen past
+// our stop, or that leaves the list around its time, has departed; an EST trip
+// that leaves the list without ever turning live is counted as a no-show.
+const PREDICTION_CHANGE_MS = 30000;
+const DEPARTURE_SLACK_MS = 3 * 60 * 1000; // leaving the list earlier than this means dropped, not departed
+const WATCH_GAP_MS = 2 * 60 * 1000; // longer without a refresh and we can't tell when it left
+
+const watchedTrips = new Map(); // `${stopId}|${tripId}` -> observation
+let punctualityQueue = Promise.resolve();
+
+function recordPunctuality(stopIds, arrivals) {
+    // Refreshes can overlap; observations must be updated one refresh at a time
+    punctualityQueue = punctualityQueue
+        .then(() => updatePunctuality(stopIds, arrivals))
+        .catch(e => console.warn('Could not record punctuality', e));
+}
+
+async function updatePunctuality(stopIds, arrivals) {
+    const now = ServiceTime.now().getTime();
+    const serviceDate = Object.values(ServiceTime.getServiceDate()).join('-');
+    const tracked = arrivals.filter(bus => bus.tripId);
+    const changed = new Set();
+
+    // Trips we have not watched this session may already be stored (page reloads)
+    const unseen = tracked.filter(bus => !watchedTrips.has(`${bus.stopId}|${bus.tripId}`));
+    const stored = await HistoryStore.get(unseen.map(bus => HistoryStore.observationKey(bus.stopId, bus.tripId, serviceDate)));
+    unseen.forEach((bus, i) => {
+        watchedTrips.set(`${bus.stopId}|${bus.tripId}`, stored[i] || {
+            key: HistoryStore.observationKey(bus.stopId, bus.tripId, serviceDate),
+            stopId: bus.stopId,
+            lineId: bus.lineId,
+            tripId: bus.tripId,
+            serviceDate,
+            scheduledTs: null,
+            firstSeen: now,
+            lastSeen: now,
+            wasRealtime: false,
+            predictions: [],
+            outcome: null,
+            departedTs: null,
+            departureSource: null,
+            hour: null
+        });
+    });
+
+    const vehicles = tracked.some(bus => bus.isRealtime && bus.vehicleId) ? await getVehicles() : [];
+    const seen = new Set();
+
+    tracked.forEach(bus => {
+        const id = `${bus.stopId}|${bus.tripId}`;
+        const observation = watchedTrips.get(id);
+        seen.add(id);
+        if (observation.outcome) return;
+
+        observation.lastSeen = now;
+        observation.scheduledTs = observation.scheduledTs || bus.scheduledTs;
+        observation.wasRealtime = observation.wasRealtime || bus.isRealtime;
+
+        const last = observation.predictions[observation.predictions.length - 1];
+        if (!last || Math.abs(last.arrivalTs - bus.arrivalTs) >= PREDICTION_CHANGE_MS || last.isRealtime !== bus.isRealtime) {
+            observation.predictions.push({ at: now, arrivalTs: bus.arrivalTs, isRealtime: bus.isRealtime });
+        }
+        changed.add(observation);
+
+        // The bus may already be past us while the feed still lists it
+        const vehicle = bus.vehicleId ? findVehicle(vehicles, bus.vehicleId) : null;
+        if (vehicle && vehicle.trip_id === bus.tripId && bus.stopSequence &&
+            vehicle.current_stop_sequence > bus.stopSequence) {
+            resolveObservation(observation, 'departed', vehicle.timestamp ? vehicle.timestamp * 1000 : now, 'passed_stop');
+        }
+    });
+
+    watchedTrips.forEach((observation, id) => {
+        if (seen.has(id)) return;
+        watchedTrips.delete(id);
+        if (observation.outcome || !stopIds.includes(observation.stopId) || now - observation.lastSeen > WATCH_GAP_MS) return;
+
+        const last = observation.predictions[observation.predictions.length - 1];
+        if (!observation.wasRealtime) {
+            resolveObservation(observation, 'no_show', null, null);
+        } else if (last.arrivalTs - now <= DEPARTURE_SLACK_MS) {
+            resolveObservation(observation, 'departed', now, 'left_list');
+        } else {
+            resolveObservation(observation, 'dropped', null, null);
+        }
+        changed.add(observation);
+    });
+
+    await HistoryStore.putAll(Array.from(changed));
+}
+
+function resolveObservation(observation, outcome, departedTs, source) {
+    const last = observation.predictions[observation.predictions.length - 1];
+    const when = departedTs || observation.scheduledTs || last.arrivalTs;
+    observation.outcome = outcome;
+    observation.departedTs = departedTs;
+    observation.departureSource = source;
+    observation.hour = ServiceTime.getServiceParts(new Date(when)).hour;
+}
+
+function formatMinutesDelta(minutes) {
+    const options = { minimumFractionDigits: 1, maximumFractionDigits: 1, signDisplay: 'exceptZero' };
+    return `${I18n.formatNumber(Math.round(minutes * 10) / 10, options)} min`;
+}
+
+window.openStats = async function () {
+    const stopIds = getGroupStops(currentStopId);
+    document.getElementById('stats-title').innerText = I18n.t('stats.title', { name: document.getElementById('stop-name').innerText });
+    document.getElementById('stats-modal').classList.add('show');
+    const content = document.getElementById('stats-content');
+    Render.setHtml(content, html`
+        <div class="loading">
+            <div class="spinner"></div>
+            <div>${I18n.t('stats.loading')}</div>
+        </div>
+    `);
+
+    let observations;
+    try {
+        await HistoryStore.prune(ServiceTime.now().getTime());
+        observations = await HistoryStore.getForStops(stopIds);
+    } catch (e) {
+        console.error(e);
+        Render.setHtml(content, html`<div class="error">${I18n.t('stats.unavailable')}</div>`);
+        return;
+    }
+
+    const lines = HistoryStore.summarise(observations.filter(o => activeLines.size === 0 || activeLines.has(o.lineId)));
+    if (lines.length === 0) {
+        Render.setHtml(content, html`<div class="empty">${I18n.t('stats.empty')}</div>`);
+        return;
+    }
+
+    const since = Math.min(...observations.map(o => o.firstSeen));
+    Render.setHtml(content, html`
+        <div class="trip-note">${I18n.t('stats.observed', {
+            count: observations.filter(o => o.outcome).length,
+            date: I18n.formatDate(new Date(since), { dateStyle: 'medium' })
+        })}</div>
+        ${lines.map(line => html`
+            <div class="stats-line">
+                <div class="stats-line-header">
+                    <span class="line-number suggestion-line-number" style="background-color: ${getLineColor(line.lineId)}">${line.lineId}</span>
+                    <span class="suggestion-detail">${I18n.t('stats.departures', { count: line.departed })}</span>
+                </div>
+                <div class="stats-grid">
+                    <span>${I18n.t('stats.averageDelay')}</span>
+                    <b>${line.averageDelay === null ? '-' : formatMinutesDelta(line.averageDelay)}</b>
+                    <span>${I18n.t('stats.noShows')}</span>
+                    <b>${line.noShowRate === null ? '-' : I18n.t('stats.noShowRate', {
+                        percent: I18n.formatNumber(line.noShowRate, { style: 'percent' }),
+                        count: line.estTrips
+                    })}</b>
+                </div>
+                ${line.errorByPeriod.length > 0 ? html`
+                    <div class="stats-subtitle">${I18n.t('stats.errorByPeriod')}</div>
+                    <div class="stats-grid">
+                        ${line.errorByPeriod.map(period => html`
+                            <span>${I18n.t(`period.${period.id}`)}</span>
+                            <b>± ${I18n.formatNumber(period.meanError, { minimumFractionDigits: 1, maximumFractionDigits: 1 })} min</b>
+                        `)}
+                    </div>
+                ` : ''}
+            </div>
+        `)}
+    `);
+};
+
+window.closeStats = function () {
+    document.getElementById('stats-modal').classList.remove('show');
+};
+
+// --- Kiosk Mode ---
+// Departure board for wall screens: ?kiosk&stop=120385 (or &group=...), or
+// &rotate=120385;172197,172537 to cycle boards (';' between boards, ',' merges
+// stops into one), &every=20 seconds per board, &rows=8
+const KIOSK_DEFAULT_ROWS = 8;
+const KIOSK_DEFAULT_EVERY_S = 20;
+const KIOSK_SHIFT_MS = 60000;
+const KIOSK_SHIFT_PX = 4; // burn-in protection, small enough to go unnoticed
+const KIOSK_RELOAD_AFTER_MS = 10 * 60 * 1000; // no fresh data for this long: start over
+
+let kiosk = null; // { rows, everyMs, boards: [[stopId, ...]], boardIndex, startedAt }
+
+function setupKiosk() {
+    const params = new URLSearchParams(location.search);
+    if (!params.has('kiosk')) return;
+
+    kiosk = {
+        rows: Math.max(1, parseInt(params.get('rows'), 10) || KIOSK_DEFAULT_ROWS),
+        everyMs: Math.max(5, parseInt(params.get('every'), 10) || KIOSK_DEFAULT_EVERY_S) * 1000,
+        boards: (params.get('rotate') || '').split(';')
+            .map(board => board.split(',').filter(id => /^\d{6}$/.test(id)))
+            .filter(stops => stops.length > 0),
+        boardIndex: 0,
+        startedAt: Date.now()
+    };
+    document.body.classList.add('kiosk');
+    document.documentElement.style.setProperty('--kiosk-rows', kiosk.rows);
+
+    if (kiosk.boards.length > 0) showKioskBoard(0);
+    if (kiosk.boards.length > 1) {
+        setInterval(() => {
+            showKioskBoard(kiosk.boardIndex + 1);
+            loadData(false);
+        }, kiosk.everyMs);
+    }
+
+    setInterval(renderDataAge, 1000);
+    setInterval(shiftKioskPixels, KIOSK_SHIFT_MS);
+    setInterval(checkKioskHealth, 60000);
+
+    // Fullscreen needs a gesture; kiosk launchers usually start fullscreen anyway
+    document.addEventListener('click', () => {
+        if (!document.fullscreenElement && document.documentElement.requestFullscreen) {
+            document.documentElement.requestFullscreen().catch(() => { });
+        }
+    });
+    keepScreenAwake();
+    document.addEventListener('visibilitychange', keepScreenAwake);
+}
+
+function showKioskBoard(index) {
+    kiosk.boardIndex = index % kiosk.boards.length;
+    const stops = kiosk.boards[kiosk.boardIndex];
+
+    if (stops.length > 1) {
+        // One linked group per board, so snapshots and history don't mix boards
+        linkedGroup = { id: linkedGroupId(stops), name: '', stops };
+        currentStopId = linkedGroup.id;
+    } else {
+        currentStopId = stops[0];
+    }
+}
+
+function renderDataAge() {
+    const el = document.getElementById('data-age');
+    const since = staleSince || lastLoadedAt;
+    if (!since) {
+        el.innerText = '';
+        return;
+    }
+
+    const seconds = Math.max(0, Math.floor((Date.now() - since) / 1000));
+    const age = seconds < 60 ? `${seconds} s` : `${Math.floor(seconds / 60)} min`;
+    el.innerText = I18n.t(staleSince ? 'dataAge.stale' : 'dataAge.updated', { age });
+    el.classList.toggle('stale', !!staleSince);
+}
+
+function shiftKioskPixels() {
+    const offset = () => `${Math.round((Math.random() * 2 - 1) * KIOSK_SHIFT_PX)}px`;
+    document.documentElement.style.setProperty('--kiosk-shift-x', offset());
+    document.documentElement.style.setProperty('--kiosk-shift-y', offset());
+}
+
+// The refresh loop already retries through API errors; this covers a page that is
+// stuck (no fresh data for a long time while the network is up) by starting over
+function checkKioskHealth() {
+    const lastGood = lastLoadedAt || kiosk.startedAt;
+    if (navigator.onLine && Date.now() - lastGood > KIOSK_RELOAD_AFTER_MS) {
+        location.reload();
+    }
+}
+
+function keepScreenAwake() {
+    if (document.visibilityState !== 'visible' || !navigator.wakeLock) return;
+    navigator.wakeLock.request('screen').catch(() => { });
+}
+
+// --- API Mode ---
+// ?api=http://localhost:8080 (local stand-in), ?apiMode=record, ?apiMode=replay&fixtures=...&speed=2
+function configureApiFromUrl() {
+    const params = new URLSearchParams(location.search);
+    ApiClient.configure({
+        carrisBase: params.get('api'),
+        cmetBase: params.get('cmetApi') || params.get('api')
+    });
+
+    const mode = params.get('apiMode');
+    if (mode === 'record') {
+        ApiClient.startRecording();
+        addRecordingButton();
+    } else if (mode === 'replay') {
+        const fixtures = params.get('fixtures') || 'fixtures/sample-session.json';
+        const speed = Number(params.get('speed')) || 1;
+        return ApiClient.loadFixtures(fixtures, { speed })
+            .then(() => {
+                ServiceTime.setClock(ApiClient.replayNow);
+                document.getElementById('stop-details').innerText = I18n.t('api.replay');
+            })
+            .catch(e => console.error("Could not load fixtures", e));
+    }
+    return Promise.resolve();
+}
+
+function addRecordingButton() {
+    const btn = document.createElement('button');
+    btn.className = 'quick-btn record-btn';
+    btn.innerText = I18n.t('api.saveRecording');
+    btn.onclick = downloadRecording;
+    document.querySelector('footer .header-controls').appendChild(btn);
+}
+
+function downloadRecording() {
+    const recording = ApiClient.exportRecording();
+    const blob = new Blob([JSON.stringify(recording)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `paragem-session-${recording.recordedAt}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+// --- Installable App ---
+// Favourites become home-screen shortcuts through the service worker's manifest
+function sendShortcuts() {
+    if (!('serviceWorker' in navigator) || !navigator.serviceWorker.controller) return;
+    navigator.serviceWorker.controller.postMessage({
+        type: 'shortcuts',
+        shortcuts: favourites.map(f => ({
+            name: f.name,
+            short_name: f.name,
+            url: `./?${stopParams(f.id).toString()}`,
+            icons: [{ src: 'icon.svg', sizes: 'any', type: 'image/svg+xml' }]
+        }))
+    });
+}
+
+// Stop tiles are cached as they are used; saving them all for offline is the user's call
+let offlineStops = loadStored('paragem.offlineStops', false);
+
+function renderOfflineButton() {
+    const btn = document.getElementById('offline-toggle');
+    btn.hidden = !('serviceWorker' in navigator) || !navigator.serviceWorker.controller;
+    btn.innerText = I18n.t(offlineStops ? 'offline.saved' : 'offline.save');
+    btn.title = I18n.t(offlineStops ? 'offline.savedTitle' : 'offline.saveTitle');
+    btn.setAttribute('aria-pressed', String(offlineStops));
+}
+
+window.toggleOfflineStops = function () {
+    if (!('serviceWorker' in navigator) || !navigator.serviceWorker.controller) return;
+    offlineStops = !offlineStops;
+    saveStored('paragem.offlineStops', offlineStops);
+    navigator.serviceWorker.controller.postMessage({ type: 'offline-stops', enabled: offlineStops });
+    renderOfflineButton();
+};
+
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+    navigator.serviceWorker.register('sw.js')
+        .then(() => navigator.serviceWorker.ready)
+        .then(() => {
+            sendShortcuts();
+            renderOfflineButton();
+        })
+        .catch(e => console.warn("Service worker registration failed", e));
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        sendShortcuts();
+        renderOfflineButton();
+    });
+    navigator.serviceWorker.addEventListener('message', (event) => {
+        if (event.data && event.data.type === 'offline-stops-saved') announce(I18n.t('offline.done'));
+    });
+}
+
+// --- UI Actions ---
+// Rendered markup names its action in data-action and carries the arguments in
+// data-* attributes; one delegated listener per event type dispatches them.
+const uiActions = {
+    'toggle-bus-map': (el) => toggleBusMap(el, el.dataset.tripId, el.dataset.lineId, el.dataset.vehicleId),
+    'open-line': (el) => openLineExplorer(el.dataset.lineId),
+    'open-trip': (el) => openTripDetail(el.dataset.tripId, el.dataset.lineId, el.dataset.vehicleId, el.dataset.stopId),
+    'open-alert': (el) => openAlertSheet(el.dataset.tripId, el.dataset.lineId, el.dataset.vehicleId, el.dataset.stopId),
+    'select-stop': (el) => selectStop(el.dataset.stopId, el.dataset.stopName),
+    'quick-select': (el) => quickSelect(el.dataset.stopId),
+    'toggle-favourite': (el) => toggleFavourite(el.dataset.stopId, el),
+    'set-locality': (el) => setSearchLocality(el.dataset.locality),
+    'toggle-line-filter': (el) => toggleLineFilter(el.dataset.lineId),
+    'reset-line-filters': () => resetLineFilters(),
+    'cancel-alert': (el) => cancelAlert(el.dataset.alertId),
+    'dismiss-alert-banner': () => dismissAlertBanner(),
+    'edit-group': (el) => editGroup(el.dataset.groupId),
+    'delete-group': (el) => deleteGroup(el.dataset.groupId),
+    'add-group-member': (el) => addGroupMember(el.dataset.stopId),
+    'remove-group-member': (el) => removeGroupMember(el.dataset.stopId),
+    'map-open-line': (el) => {
+        toggleMap();
+        openLineExplorer(el.dataset.lineId);
+    },
+    'map-select-stop': (el) => selectStopFromMap(el.dataset.stopId, el.dataset.stopName),
+    'set-map-vehicle-lines': (el) => setMapVehicleLines(el.dataset.lines),
+    'trip-select-stop': (el) => {
+        closeTripDetail();
+        selectStop(el.dataset.stopId, el.dataset.stopName);
+    },
+    'line-select-stop': (el) => {
+        closeLineExplorer();
+        selectStop(el.dataset.stopId, el.dataset.stopName);
+    },
+    'select-line-pattern': (el) => selectLinePattern(el.dataset.patternId),
+    'focus-line-vehicle': (el) => focusLineVehicle(el.dataset.vehicleId),
+    'toggle-favourites-panel': () => toggleFavouritesPanel(),
+    'close-alert-sheet': () => closeAlertSheet(),
+    'create-alert': () => createAlertFromSheet(),
+    'save-group': () => saveGroupDraft(),
+    'toggle-map-vehicles': () => toggleMapVehicles(),
+    'set-timetable-day': (el) => setTimetableDay(Number(el.dataset.offset))
+};
+
+// Form controls in rendered markup, by the same data-action attribute
+const uiChangeActions = {
+    'set-group-radius': (el) => setGroupRadius(el.value),
+    'edit-map-vehicle-lines': (el) => setMapVehicleLines(el.value),
+    'set-timetable-date': (el) => setTimetableDate(el.value)
+};
+
+const uiSubmitActions = {
+    'add-group-member-id': (form, event) => {
+        event.preventDefault();
+        addGroupMember(form.elements.stopId.value);
+    }
+};
+
 // --- Initialization ---
+Render.delegate(document, 'click', uiActions);
+Render.delegate(document, 'change', uiChangeActions);
+Render.delegate(document, 'submit', uiSubmitActions);
+applyStaticTranslations();
 setInterval(updateClock, 1000);
 updateClock();
+renderQuickActions();
+applyUrlState();
+setupKiosk();
+setupLineFilterOpenLine();
+updateFavouriteButton();
+renderAlertsIndicator();
 loadStopsData();
-loadData();
+configureApiFromUrl().then(() => {
+    loadData();
+    pollAlerts();
+});
+registerServiceWorker();
 
 
 function updateModeUI() {
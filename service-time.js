@@ -0,0 +1,159 @@
+// Service-day time model for Carris Metropolitana (GTFS) times.
+//
+// The API reports arrivals as "HH:MM:SS" on a service day, in Europe/Lisbon time.
+// Hours can run past 24 ("25:10:00" is 01:10 the next calendar day), and per GTFS
+// the clock starts at "noon minus 12h" of the service date, which only differs from
+// midnight on DST change days. Everything here works in absolute instants so the
+// device's own time zone never leaks into arrival times.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ServiceTime = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const SERVICE_TIME_ZONE = 'Europe/Lisbon';
+    const HOUR_MS = 3600000;
+    const DAY_MS = 24 * HOUR_MS;
+    // Night trips timed past 24:00 are over by then, so the next service day starts
+    const SERVICE_DAY_ROLLOVER_HOUR = 4;
+
+    const partsFormatter = new Intl.DateTimeFormat('en-GB', {
+        timeZone: SERVICE_TIME_ZONE,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    });
+
+    // Replaceable so recorded sessions can be replayed on their own timeline
+    let clock = () => new Date();
+
+    function now() {
+        return clock();
+    }
+
+    function setClock(fn) {
+        clock = fn || (() => new Date());
+    }
+
+    const clockFormatter = new Intl.DateTimeFormat('en-GB', {
+        timeZone: SERVICE_TIME_ZONE,
+        hourCycle: 'h23',
+        hour: '2-digit',
+        minute: '2-digit'
+    });
+
+    // Wall-clock fields of an instant in Lisbon
+    function getServiceParts(date) {
+        const parts = {};
+        partsFormatter.formatToParts(date).forEach(({ type, value }) => {
+            if (type !== 'literal') parts[type] = Number(value);
+        });
+        return parts;
+    }
+
+    // Lisbon UTC offset (ms) in effect at the given instant
+    function getOffsetMs(instantMs) {
+        const p = getServiceParts(new Date(instantMs));
+        const wallAsUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+        return wallAsUtc - Math.floor(instantMs / 1000) * 1000;
+    }
+
+    // Instant for a Lisbon wall-clock time. Non-existent times (spring-forward gap)
+    // resolve after the gap, ambiguous ones (fall-back) to the first occurrence.
+    function wallTimeToInstant(year, month, day, hour, minute, second) {
+        const wallAsUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+        // Offsets on either side of a possible DST change around this time
+        const offsetBefore = getOffsetMs(wallAsUtc - 3 * HOUR_MS);
+        const offsetAfter = getOffsetMs(wallAsUtc + 3 * HOUR_MS);
+
+        const valid = [wallAsUtc - offsetBefore, wallAsUtc - offsetAfter]
+            .filter(instant => wallAsUtc - getOffsetMs(instant) === instant);
+        if (valid.length > 0) return Math.min(...valid);
+
+        // In the gap: the pre-change offset lands just after it
+        return wallAsUtc - offsetBefore;
+    }
+
+    function parseServiceTime(timeString) {
+        const match = /^(\d{1,3}):(\d{2})(?::(\d{2}))?$/.exec(String(timeString || '').trim());
+        if (!match) return null;
+        return Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3] || 0);
+    }
+
+    // Service dates are plain calendar dates, shifted without any time zone
+    function shiftDate(serviceDate, days) {
+        const d = new Date(Date.UTC(serviceDate.year, serviceDate.month - 1, serviceDate.day + days));
+        return { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate() };
+    }
+
+    function getServiceDate(now = clock()) {
+        const p = getServiceParts(now);
+        return { year: p.year, month: p.month, day: p.day };
+    }
+
+    // The service day still running: yesterday's, between midnight and its last
+    // trips past 24:00, otherwise the calendar date
+    function getCurrentServiceDate(now = clock()) {
+        const today = getServiceDate(now);
+        return getServiceParts(now).hour < SERVICE_DAY_ROLLOVER_HOUR ? shiftDate(today, -1) : today;
+    }
+
+    // GTFS: seconds counted from "noon minus 12h" on the service date
+    function serviceDayStart(serviceDate) {
+        return wallTimeToInstant(serviceDate.year, serviceDate.month, serviceDate.day, 12, 0, 0) - 12 * HOUR_MS;
+    }
+
+    function serviceTimeOnDate(timeString, serviceDate) {
+        const seconds = parseServiceTime(timeString);
+        if (seconds === null) return null;
+        return new Date(serviceDayStart(serviceDate) + seconds * 1000);
+    }
+
+    // The feed does not say which service day a time belongs to: pick the
+    // reading (yesterday's late trips, today, tomorrow's early ones) closest to now
+    function serviceTimeToInstant(timeString, now = clock()) {
+        const seconds = parseServiceTime(timeString);
+        if (seconds === null) return null;
+
+        const today = getServiceDate(now);
+        let best = null;
+        [-1, 0, 1].forEach(offset => {
+            const candidate = serviceDayStart(shiftDate(today, offset)) + seconds * 1000;
+            if (best === null || Math.abs(candidate - now.getTime()) < Math.abs(best - now.getTime())) {
+                best = candidate;
+            }
+        });
+        return new Date(best);
+    }
+
+    function minutesUntil(instant, now = clock()) {
+        return Math.floor((instant.getTime() - now.getTime()) / 60000);
+    }
+
+    // "HH:MM" in Lisbon, whatever the device time zone is
+    function formatServiceClock(date) {
+        return clockFormatter.format(date);
+    }
+
+    return {
+        SERVICE_TIME_ZONE,
+        DAY_MS,
+        now,
+        setClock,
+        getServiceParts,
+        getServiceDate,
+        getCurrentServiceDate,
+        wallTimeToInstant,
+        parseServiceTime,
+        shiftDate,
+        serviceTimeOnDate,
+        serviceTimeToInstant,
+        minutesUntil,
+        formatServiceClock
+    };
+});
@@ -0,0 +1,311 @@
+// Stop dataset and search, shared by the page and the Node CLI.
+//
+// Stops come from stops_lite.json or, in the page, from the tiled dataset (see
+// optimize_data.py) and are used in the app's format:
+//   { stop_id, name, lat, lon, latNum, lonNum, locality, lines, status }.
+// createIndex() groups them by line and locality; search() ranks them for a free-text
+// query, a stop id prefix or a line number ("4001", "linha 4001").
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.StopSearch = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // Common abbreviations in Carris stop names, folded (no accents, lowercase)
+    const SEARCH_ABBREVIATIONS = {
+        r: 'rua',
+        av: 'avenida',
+        avd: 'avenida',
+        avda: 'avenida',
+        estr: 'estrada',
+        lg: 'largo',
+        lgo: 'largo',
+        pc: 'praca',
+        pca: 'praca',
+        pct: 'praceta',
+        tv: 'travessa',
+        trav: 'travessa',
+        qta: 'quinta',
+        urb: 'urbanizacao',
+        bo: 'bairro',
+        bro: 'bairro',
+        cc: 'centro comercial',
+        esc: 'escola',
+        sta: 'santa',
+        sto: 'santo',
+        dr: 'doutor',
+        eng: 'engenheiro',
+        gen: 'general',
+        cmd: 'comandante'
+    };
+
+    // Haversine distance in metres
+    function distanceMeters(lat1, lon1, lat2, lon2) {
+        const R = 6371000;
+        const toRad = (deg) => deg * Math.PI / 180;
+        const dLat = toRad(lat2 - lat1);
+        const dLon = toRad(lon2 - lon1);
+        const a = Math.sin(dLat / 2) ** 2 +
+            Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+        return 2 * R * Math.asin(Math.sqrt(a));
+    }
+
+    // Map the short keys of stops_lite.json back to the app's format
+    function fromLite(data) {
+        return data.map(s => ({
+            stop_id: s.i,
+            name: s.n,
+            lat: s.l,
+            lon: s.o,
+            locality: s.c,
+            lines: s.r || [],
+            status: s.s === 1 ? 'ACTIVE' : 'INACTIVE',
+            // Add dummy fields if text search needs them avoids crashes
+            tts_name: s.n
+        }));
+    }
+
+    // The page's search index (see optimize_data.py): names, localities and status.
+    // Coordinates and lines come with the stop's tile; `tile` names it.
+    function fromIndex(data) {
+        const inactive = new Set(data.inactive);
+        const tileOf = data.tileCounts.flatMap((count, i) => Array(count).fill(data.tiles[i]));
+        return data.stops.map(([id, name, locality], i) => ({
+            stop_id: id,
+            name,
+            locality: data.localities[locality] || null,
+            lines: [],
+            status: inactive.has(i) ? 'INACTIVE' : 'ACTIVE',
+            tile: tileOf[i]
+        }));
+    }
+
+    // line_id -> keys of the tiles with its stops
+    function lineTilesFromIndex(data) {
+        return new Map(Object.entries(data.lines).map(([lineId, tiles]) => [lineId, tiles.map(i => data.tiles[i])]));
+    }
+
+    // Tiles are TILE_DEG squares keyed "latCell:lonCell"; same arithmetic as optimize_data.py
+    function tileKeyFor(lat, lon, tileDeg) {
+        return `${Math.floor(lat / tileDeg)}:${Math.floor(lon / tileDeg)}`;
+    }
+
+    function tileKeysInBounds(south, west, north, east, tileDeg) {
+        const keys = [];
+        for (let latCell = Math.floor(south / tileDeg); latCell <= Math.floor(north / tileDeg); latCell++) {
+            for (let lonCell = Math.floor(west / tileDeg); lonCell <= Math.floor(east / tileDeg); lonCell++) {
+                keys.push(`${latCell}:${lonCell}`);
+            }
+        }
+        return keys;
+    }
+
+    // Tile rows are [id, lat, lon, lines]; returns the stops that got them
+    function applyTile(stopsById, rows) {
+        return rows.map(([id, lat, lon, lines]) => {
+            const stop = stopsById.get(id);
+            if (!stop) return null;
+            stop.lat = lat;
+            stop.lon = lon;
+            stop.latNum = lat;
+            stop.lonNum = lon;
+            stop.lines = lines ? lines.split(' ') : [];
+            return stop;
+        }).filter(Boolean);
+    }
+
+    function foldText(text) {
+        return (text || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim();
+    }
+
+    function tokenize(text) {
+        const folded = foldText(text);
+        if (!folded) return [];
+        return folded.split(' ').flatMap(token => (SEARCH_ABBREVIATIONS[token] || token).split(' '));
+    }
+
+    function getSearchEntry(stop) {
+        // Computed on first search and kept on the stop object
+        if (!stop.search) {
+            const nameTokens = tokenize(stop.name);
+            stop.search = {
+                name: nameTokens,
+                phrase: nameTokens.join(' '),
+                locality: tokenize(stop.locality)
+            };
+        }
+        return stop.search;
+    }
+
+    function scoreToken(queryToken, tokens) {
+        let best = 0;
+        for (const token of tokens) {
+            if (token === queryToken) return 3;
+            if (token.startsWith(queryToken)) best = Math.max(best, 2);
+            else if (queryToken.length >= 3 && token.includes(queryToken)) best = Math.max(best, 1);
+        }
+        return best;
+    }
+
+    function scoreStop(stop, queryTokens, queryPhrase, rawQuery) {
+        if (stop.stop_id === rawQuery) return 1000;
+        if (/^\d+$/.test(rawQuery)) return stop.stop_id.startsWith(rawQuery) ? 500 : 0;
+
+        const entry = getSearchEntry(stop);
+        let score = 0;
+
+        for (const queryToken of queryTokens) {
+            const nameScore = scoreToken(queryToken, entry.name);
+            if (nameScore > 0) {
+                score += nameScore * 10;
+                continue;
+            }
+            // Tokens not in the name may narrow by locality ("marques oeiras")
+            const localityScore = scoreToken(queryToken, entry.locality);
+            if (localityScore === 0) return 0;
+            score += localityScore * 4;
+        }
+
+        if (entry.phrase === queryPhrase) score += 50;
+        else if (entry.phrase.startsWith(queryPhrase)) score += 25;
+        else if (entry.phrase.includes(queryPhrase)) score += 10;
+
+        // Fewer extra words means a closer match
+        score -= Math.max(0, entry.name.length - queryTokens.length);
+        if (stop.status !== 'ACTIVE') score -= 20;
+        return score;
+    }
+
+    // { stops, lineStops: Map(line_id -> stops), localityStops: Map(folded -> { name, stops }),
+    //   lineTiles: Map(line_id -> tile keys) }
+    // Index stops have no lines until their tile loads: lineTiles says which tiles
+    // to load for a line, and addLines() files the stops they bring.
+    function createIndex(stops, lineTiles = new Map()) {
+        const index = { stops, lineStops: new Map(), localityStops: new Map(), lineTiles };
+        stops.forEach(stop => {
+            // Index stops get theirs when their tile loads
+            if (stop.latNum === undefined && stop.lat !== undefined) {
+                stop.latNum = parseFloat(stop.lat);
+                stop.lonNum = parseFloat(stop.lon);
+            }
+
+            const key = foldText(stop.locality);
+            if (!key) return;
+            if (!index.localityStops.has(key)) index.localityStops.set(key, { name: stop.locality, stops: [] });
+            index.localityStops.get(key).stops.push(stop);
+        });
+        addLines(index, stops);
+        return index;
+    }
+
+    function addLines(index, stops) {
+        stops.forEach(stop => {
+            stop.lines.forEach(lineId => {
+                if (!index.lineStops.has(lineId)) index.lineStops.set(lineId, []);
+                index.lineStops.get(lineId).push(stop);
+            });
+        });
+    }
+
+    function findStop(index, stopId) {
+        return index.stops.find(s => s.stop_id === stopId) || null;
+    }
+
+    // "4001", "linha 4001", "line 4001", "L4001"
+    function parseLineQuery(index, query) {
+        const match = query.trim().match(/^(?:linha|line|l)?\s*(\d{4})$/i);
+        return match && (index.lineStops.has(match[1]) || index.lineTiles.has(match[1])) ? match[1] : null;
+    }
+
+    function findLocalities(index, query) {
+        const folded = foldText(query);
+        if (folded.length < 3) return [];
+
+        const matches = [];
+        index.localityStops.forEach((entry, key) => {
+            if (key.startsWith(folded)) matches.push({ key, name: entry.name, count: entry.stops.length });
+        });
+        return matches.sort((a, b) => a.key.length - b.key.length).slice(0, 3);
+    }
+
+    // Stops whose tile hasn't loaded yet sort after the ones we can place
+    function distanceFrom(origin, stop) {
+        const distance = distanceMeters(origin.latNum, origin.lonNum, stop.latNum, stop.lonNum);
+        return isNaN(distance) ? Number.MAX_VALUE : distance;
+    }
+
+    // Last tie-break, so results don't depend on the order stops were loaded in
+    function byStopId(a, b) {
+        return a.stop_id < b.stop_id ? -1 : (a.stop_id > b.stop_id ? 1 : 0);
+    }
+
+    function byDistanceFrom(origin) {
+        return (a, b) => (origin
+            ? distanceFrom(origin, a) - distanceFrom(origin, b)
+            : a.name.localeCompare(b.name)) || byStopId(a, b);
+    }
+
+    // origin: stop that breaks ties (same locality, then closest), locality: folded key to search within
+    function search(index, query, { limit = 50, origin = null, locality = null } = {}) {
+        const rawQuery = query.trim();
+        const scope = locality && index.localityStops.get(locality);
+        const candidates = scope ? scope.stops : index.stops;
+
+        // Line number: every stop the line serves, closest first
+        const lineId = parseLineQuery(index, rawQuery);
+        if (lineId) {
+            return (index.lineStops.get(lineId) || [])
+                .filter(stop => !scope || candidates.includes(stop))
+                .sort(byDistanceFrom(origin))
+                .slice(0, limit);
+        }
+
+        const queryTokens = tokenize(rawQuery);
+        if (queryTokens.length === 0) {
+            return scope ? [...candidates].sort(byDistanceFrom(origin)).slice(0, limit) : [];
+        }
+        const queryPhrase = queryTokens.join(' ');
+
+        // Ties go to stops in the origin's locality, then the closest ones
+        const originLocality = origin ? foldText(origin.locality) : null;
+
+        const results = [];
+        candidates.forEach(stop => {
+            let score = scoreStop(stop, queryTokens, queryPhrase, rawQuery);
+            if (score <= 0) return;
+            if (originLocality && foldText(stop.locality) === originLocality) score += 5;
+            const distance = origin ? distanceFrom(origin, stop) : 0;
+            results.push({ stop, score, distance });
+        });
+
+        return results
+            .sort((a, b) => b.score - a.score || a.distance - b.distance || byStopId(a.stop, b.stop))
+            .slice(0, limit)
+            .map(r => r.stop);
+    }
+
+    return {
+        SEARCH_ABBREVIATIONS,
+        distanceMeters,
+        fromLite,
+        fromIndex,
+        lineTilesFromIndex,
+        tileKeyFor,
+        tileKeysInBounds,
+        applyTile,
+        foldText,
+        tokenize,
+        createIndex,
+        addLines,
+        findStop,
+        parseLineQuery,
+        findLocalities,
+        search
+    };
+});
@@ -0,0 +1,215 @@
+// Service worker: pre-caches the app shell and stop search index so the app opens offline.
+// Realtime API calls always go to the network; the page keeps its own last-known arrivals.
+const CACHE_VERSION = 'paragem-v11';
+const META_CACHE = 'paragem-meta';
+
+// Stop dataset files are named by their content and kept across app versions;
+// only the manifest that lists them is revalidated (see optimize_data.py)
+const STOPS_CACHE = 'paragem-stops';
+const STOPS_MANIFEST = 'stops/manifest.json';
+const TILE_PRECACHE_BATCH = 6;
+
+const APP_SHELL = [
+    './',
+    'index.html',
+    'service-time.js',
+    'i18n.js',
+    'render.js',
+    'api-client.js',
+    'arrivals.js',
+    'stop-search.js',
+    'history-store.js',
+    'script.js',
+    'style.css',
+    'manifest.webmanifest',
+    'icon.svg'
+];
+
+// Third-party assets are cached best-effort so a CDN hiccup never blocks install
+const VENDOR_ASSETS = [
+    'https://unpkg.com/leaflet@1.9.4/dist/leaflet.css',
+    'https://unpkg.com/leaflet@1.9.4/dist/leaflet.js',
+    'https://unpkg.com/leaflet.markercluster@1.4.1/dist/MarkerCluster.css',
+    'https://unpkg.com/leaflet.markercluster@1.4.1/dist/MarkerCluster.Default.css',
+    'https://unpkg.com/leaflet.markercluster@1.4.1/dist/leaflet.markercluster.js',
+    'https://fonts.googleapis.com/css2?family=Inter:wght@400;500;600;700;800&display=swap'
+];
+
+const CACHEABLE_HOSTS = ['unpkg.com', 'fonts.googleapis.com', 'fonts.gstatic.com'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_VERSION)
+            .then(cache => cache.addAll(APP_SHELL)
+                .then(() => Promise.allSettled(VENDOR_ASSETS.map(url => cache.add(url)))))
+            .then(() => precacheStopIndex().catch(() => null))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key !== CACHE_VERSION && key !== META_CACHE && key !== STOPS_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// The page sends its favourites so the manifest can offer them as home-screen shortcuts,
+// and asks for every stop tile when the user saves the stops for offline use
+self.addEventListener('message', (event) => {
+    if (!event.data) return;
+    if (event.data.type === 'shortcuts') {
+        event.waitUntil(
+            caches.open(META_CACHE).then(cache => cache.put('shortcuts.json', new Response(JSON.stringify(event.data.shortcuts))))
+        );
+    } else if (event.data.type === 'offline-stops') {
+        event.waitUntil(setOfflineStops(event.data.enabled, event.source));
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    const sameOrigin = url.origin === self.location.origin;
+
+    if (sameOrigin && url.pathname.endsWith('/manifest.webmanifest')) {
+        event.respondWith(manifestWithShortcuts(request));
+        return;
+    }
+
+    if (sameOrigin && url.pathname.endsWith(`/${STOPS_MANIFEST}`)) {
+        event.respondWith(stopsManifest(event, request));
+        return;
+    }
+
+    if (sameOrigin && url.pathname.includes('/stops/')) {
+        event.respondWith(stopsFile(request));
+        return;
+    }
+
+    if (!sameOrigin && !CACHEABLE_HOSTS.includes(url.hostname)) return;
+
+    event.respondWith(staleWhileRevalidate(event, request));
+});
+
+async function staleWhileRevalidate(event, request) {
+    const cache = await caches.open(CACHE_VERSION);
+    // Deep links (?stop=...) all share the cached index page
+    const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+
+    const network = fetch(request)
+        .then(res => {
+            if (res.ok || res.type === 'opaque') {
+                cache.put(request.mode === 'navigate' ? './' : request, res.clone());
+            }
+            return res;
+        });
+
+    if (cached) {
+        event.waitUntil(network.catch(() => null));
+        return cached;
+    }
+    return network;
+}
+
+async function manifestWithShortcuts(request) {
+    let res = await caches.match('manifest.webmanifest');
+    if (!res) res = await fetch(request);
+
+    const manifest = await res.json();
+    const stored = await caches.open(META_CACHE).then(cache => cache.match('shortcuts.json'));
+    manifest.shortcuts = stored ? await stored.json() : [];
+
+    return new Response(JSON.stringify(manifest), {
+        headers: { 'Content-Type': 'application/manifest+json' }
+    });
+}
+
+// The search index is only known through the manifest
+async function precacheStopIndex() {
+    const cache = await caches.open(STOPS_CACHE);
+    const res = await fetch(STOPS_MANIFEST, { cache: 'no-cache' });
+    if (!res.ok) return;
+    const manifest = await res.clone().json();
+    await cache.put(STOPS_MANIFEST, res);
+    await cache.add(`stops/${manifest.index}`);
+}
+
+// Tiles are otherwise cached as they are fetched (stopsFile). Saving the stops for
+// offline fetches the rest; their names are content hashes, so only new or changed
+// tiles are fetched, now and when a new dataset version shows up.
+async function precacheStopTiles(cache, manifest) {
+    const requests = await cache.keys();
+    const cached = new Set(requests.map(req => new URL(req.url).pathname.split('/').pop()));
+    const missing = Object.values(manifest.tiles).filter(name => !cached.has(name));
+
+    // A few at a time, failures are fetched again on demand
+    for (let i = 0; i < missing.length; i += TILE_PRECACHE_BATCH) {
+        await Promise.allSettled(missing.slice(i, i + TILE_PRECACHE_BATCH).map(name => cache.add(`stops/tiles/${name}`)));
+    }
+}
+
+async function offlineStopsEnabled() {
+    const stored = await caches.open(META_CACHE).then(cache => cache.match('offline-stops.json'));
+    return stored ? stored.json() : false;
+}
+
+// The choice is kept with the shortcuts, so later dataset versions know to follow it
+async function setOfflineStops(enabled, client) {
+    const meta = await caches.open(META_CACHE);
+    await meta.put('offline-stops.json', new Response(JSON.stringify(Boolean(enabled))));
+    if (!enabled) return;
+
+    const cache = await caches.open(STOPS_CACHE);
+    const res = await cache.match(STOPS_MANIFEST);
+    if (!res) return;
+    await precacheStopTiles(cache, await res.json());
+    if (client) client.postMessage({ type: 'offline-stops-saved' });
+}
+
+// Network first, so a new dataset version is picked up as soon as it is online
+async function stopsManifest(event, request) {
+    const cache = await caches.open(STOPS_CACHE);
+    try {
+        const res = await fetch(request);
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        cache.put(STOPS_MANIFEST, res.clone());
+        event.waitUntil(res.clone().json()
+            .then(manifest => pruneStopsCache(cache, manifest)
+                .then(() => offlineStopsEnabled())
+                .then(enabled => enabled && precacheStopTiles(cache, manifest))));
+        return res;
+    } catch (e) {
+        const cached = await cache.match(STOPS_MANIFEST);
+        if (cached) return cached;
+        throw e;
+    }
+}
+
+// A cached index or tile never goes stale: a changed one has a new name
+async function stopsFile(request) {
+    const cache = await caches.open(STOPS_CACHE);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    const res = await fetch(request);
+    if (res.ok) cache.put(request, res.clone());
+    return res;
+}
+
+// Drop files the current version no longer lists
+async function pruneStopsCache(cache, manifest) {
+    const current = new Set([manifest.index, ...Object.values(manifest.tiles)]);
+    const requests = await cache.keys();
+    await Promise.all(requests
+        .filter(req => {
+            const name = new URL(req.url).pathname.split('/').pop();
+            return name !== 'manifest.json' && !current.has(name);
+        })
+        .map(req => cache.delete(req)));
+}
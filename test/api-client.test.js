@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ApiClient = require('../api-client.js');
+
+// Answers every request with the next of `bodies` (the last one repeats)
+function stubFetch(t, bodies) {
+    let calls = 0;
+    const original = globalThis.fetch;
+    globalThis.fetch = async () => {
+        const body = bodies[Math.min(calls++, bodies.length - 1)];
+        return { ok: true, status: 200, headers: new Map(), json: async () => body };
+    };
+    t.after(() => {
+        globalThis.fetch = original;
+    });
+}
+
+test('recording skips responses equal to the previous one for the path', async (t) => {
+    stubFetch(t, [[{ id: 1 }], [{ id: 1 }], [{ id: 2 }], [{ id: 2 }]]);
+    ApiClient.startRecording();
+    for (let i = 0; i < 4; i++) await ApiClient.fetchVehicles();
+    // The stop is a different path: recorded even though its body matches
+    await ApiClient.fetchStopInfo('120385');
+
+    const { entries } = ApiClient.exportRecording();
+    assert.deepEqual(entries.map(e => [e.path, e.data]), [
+        ['/vehicles', [{ id: 1 }]],
+        ['/vehicles', [{ id: 2 }]],
+        ['/stops/120385', [{ id: 2 }]]
+    ]);
+});
+
+test('recording keeps only the latest responses per path', async (t) => {
+    const max = ApiClient.MAX_RECORDED_PER_PATH;
+    stubFetch(t, Array.from({ length: max + 10 }, (_, i) => [{ id: i }]));
+    ApiClient.startRecording();
+    await ApiClient.fetchStopInfo('172197');
+    for (let i = 1; i < max + 10; i++) await ApiClient.fetchVehicles();
+
+    const { entries } = ApiClient.exportRecording();
+    const vehicles = entries.filter(e => e.path === '/vehicles');
+    assert.equal(vehicles.length, max);
+    assert.deepEqual(vehicles[0].data, [{ id: 10 }]);
+    assert.deepEqual(vehicles[max - 1].data, [{ id: max + 9 }]);
+    assert.equal(entries.filter(e => e.path === '/stops/172197').length, 1);
+});
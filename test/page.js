@@ -0,0 +1,78 @@
+// index.html in jsdom for the view tests: the page's own scripts run as they do in
+// the browser, Leaflet is replaced by a stub that records what it is given.
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..');
+
+// Any method call returns the stub again; calls are kept in `leafletCalls`
+function leafletStub(calls) {
+    const stub = new Proxy(function () {}, {
+        get: (target, method) => {
+            if (method === 'then') return undefined;
+            return new Proxy(function () {}, {
+                apply: (fn, self, args) => {
+                    calls.push({ method, args });
+                    return stub;
+                },
+                construct: () => stub,
+                // Fields read off a layer (marker._icon.style) are stubs too
+                get: (fn, prop) => stub[prop]
+            });
+        },
+        apply: () => stub,
+        construct: () => stub
+    });
+    return stub;
+}
+
+// Same-origin files from the repo, as the page would fetch them
+function fetchLocalFile(url) {
+    const file = path.join(ROOT, decodeURIComponent(new URL(url).pathname));
+    if (!file.startsWith(ROOT) || !fs.existsSync(file)) {
+        return Promise.resolve({ ok: false, status: 404, json: async () => null });
+    }
+    const body = fs.readFileSync(file, 'utf8');
+    return Promise.resolve({ ok: true, status: 200, json: async () => JSON.parse(body) });
+}
+
+// By default nothing answers, so the page stays on its loading state while views
+// are rendered directly; `serveFiles` answers from the repo instead
+function loadPage({ search = '', serveFiles = false } = {}) {
+    const source = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    const scripts = [...source.matchAll(/<script src="([^"]+)"/g)]
+        .map(match => match[1])
+        .filter(src => !/^https?:/.test(src));
+
+    const dom = new JSDOM(source.replace(/<script[\s\S]*?<\/script>/g, ''), {
+        url: `http://localhost/${search}`,
+        runScripts: 'outside-only',
+        pretendToBeVisual: true,
+        virtualConsole: new VirtualConsole()
+    });
+    const leafletCalls = [];
+    dom.window.L = leafletStub(leafletCalls);
+    dom.window.fetch = serveFiles
+        ? (url) => fetchLocalFile(new URL(url, dom.window.location.href).href)
+        : () => new Promise(() => {});
+    // No layout in jsdom
+    dom.window.Element.prototype.scrollIntoView = () => {};
+
+    const context = dom.getInternalVMContext();
+    scripts.forEach(src => {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, src), 'utf8'), context, { filename: src });
+    });
+
+    return {
+        window: dom.window,
+        document: dom.window.document,
+        leafletCalls,
+        // Page globals, including its let/const state
+        run: (code) => vm.runInContext(code, context),
+        close: () => dom.window.close()
+    };
+}
+
+module.exports = { loadPage };
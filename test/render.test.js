@@ -0,0 +1,351 @@
+// Hostile stop names, headsigns and ids from the API or the dataset must come out
+// of every view as text, never as markup. The page scripts run in jsdom with
+// Leaflet replaced by a stub that records what it is given.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./page.js');
+
+const HOSTILE = 'Rua "A" & \'B\' <script>alert(1)</script><img src=x onerror="alert(2)"> `${alert(3)}`';
+const HOSTILE_ID = '12"><script>alert(4)</script>';
+
+function parse(page, markup) {
+    const el = page.document.createElement('div');
+    el.innerHTML = markup;
+    return el;
+}
+
+// No elements or attributes the hostile strings tried to inject
+function assertInert(root) {
+    assert.equal(root.querySelectorAll('script, img').length, 0, 'no injected elements');
+    root.querySelectorAll('*').forEach(el => {
+        [...el.attributes].forEach(attr => {
+            assert.ok(!/^on/i.test(attr.name), `no ${attr.name} handler on <${el.tagName.toLowerCase()}>`);
+        });
+    });
+}
+
+function assertHasText(root, selector, text) {
+    const found = [...root.querySelectorAll(selector)].some(el => el.textContent.includes(text));
+    assert.ok(found, `${selector} shows the name as text`);
+}
+
+function hostileStop(overrides = {}) {
+    return {
+        stop_id: HOSTILE_ID,
+        name: HOSTILE,
+        locality: HOSTILE,
+        lines: ['1523', HOSTILE_ID],
+        status: 'ACTIVE',
+        latNum: 38.7,
+        lonNum: -9.2,
+        ...overrides
+    };
+}
+
+function hostileArrival(overrides = {}) {
+    return {
+        lineId: '1523',
+        destination: HOSTILE,
+        stopId: HOSTILE_ID,
+        tripId: HOSTILE_ID,
+        vehicleId: `41|${HOSTILE}`,
+        color: '#C61D23',
+        minutes: 4,
+        arrivalTime: '10:04',
+        arrivalTs: Date.now() + 4 * 60000,
+        isRealtime: true,
+        ...overrides
+    };
+}
+
+test('views render hostile names as text', async (t) => {
+    const page = loadPage();
+    const { document, run } = page;
+    t.after(() => page.close());
+
+    await t.test('html escapes text and attribute values', () => {
+        const { html, setHtml } = run('Render');
+        const el = parse(page, String(html`<div title="${HOSTILE}" data-x='${HOSTILE}'>${HOSTILE}</div>`));
+        assertInert(el);
+        assert.equal(el.firstChild.title, HOSTILE);
+        assert.equal(el.firstChild.dataset.x, HOSTILE);
+        assert.equal(el.textContent, HOSTILE);
+
+        const target = document.createElement('div');
+        setHtml(target, HOSTILE);
+        assertInert(target);
+        assert.equal(target.textContent, HOSTILE);
+    });
+
+    await t.test('arrival list', () => {
+        run('activeLines = new Set(["1523"])');
+        run('renderList')([hostileArrival(), hostileArrival({ tripId: 'other', vehicleId: null, isRealtime: false })]);
+
+        const list = document.getElementById('arrivals-list');
+        assertInert(list);
+        assertHasText(list, '.destination', HOSTILE);
+        assertHasText(list, '.vehicle-tag', HOSTILE);
+        const main = list.querySelector('.arrival-main');
+        assert.equal(main.dataset.stopId, HOSTILE_ID);
+        assert.equal(main.dataset.vehicleId, `41|${HOSTILE}`);
+        assert.ok(main.getAttribute('aria-label').includes(HOSTILE));
+        assert.ok(document.getElementById(`bus-map-${HOSTILE_ID}`));
+    });
+
+    await t.test('search suggestions', () => {
+        const renderSuggestions = run('renderSuggestions');
+        const renderLineBadges = run('renderLineBadges');
+        renderSuggestions([hostileStop()], renderLineBadges([HOSTILE_ID], HOSTILE_ID), '1523');
+
+        const list = document.getElementById('suggestions');
+        assertInert(list);
+        assertHasText(list, '.suggestion-name', HOSTILE);
+        assertHasText(list, '.suggestion-detail', HOSTILE);
+        assertHasText(list, '.suggestion-line', HOSTILE_ID);
+        const item = list.querySelector('[data-action="select-stop"]');
+        assert.equal(item.dataset.stopName, HOSTILE);
+        assert.equal(item.dataset.stopId, HOSTILE_ID);
+    });
+
+    await t.test('vehicle popup', () => {
+        const vehicle = {
+            id: `41|${HOSTILE}`,
+            trip_id: `trip_${HOSTILE}`,
+            current_status: 'STOPPED_AT',
+            speed: 8,
+            timestamp: Math.floor(Date.now() / 1000) - 30
+        };
+        const stopsAway = run('stopsAwayHtml')(3, '#C61D23');
+        const el = parse(page, run('getPopupHtml')(vehicle, stopsAway));
+        assertInert(el);
+        assert.ok(el.textContent.includes(HOSTILE));
+    });
+
+    await t.test('stop popup on the map', () => {
+        page.leafletCalls.length = 0;
+        run('openStopPopup')(hostileStop());
+
+        const call = page.leafletCalls.find(c => c.method === 'setContent');
+        const content = call.args[0];
+        assertInert(content);
+        assertHasText(content, 'h3', HOSTILE);
+        assertHasText(content, '[data-action="map-open-line"]', HOSTILE_ID);
+        const select = content.querySelector('[data-action="map-select-stop"]');
+        assert.equal(select.dataset.stopName, HOSTILE);
+        assert.equal(select.dataset.stopId, HOSTILE_ID);
+    });
+
+    await t.test('bus icon', () => {
+        page.leafletCalls.length = 0;
+        run('createBusIcon')(`0deg); background: url(x)"><script>alert(5)</script>`, '#C61D23');
+
+        const call = page.leafletCalls.find(c => c.method === 'divIcon');
+        const el = parse(page, call.args[0].html);
+        assertInert(el);
+        assert.match(el.firstElementChild.getAttribute('style'), /rotate\(0deg\)/);
+    });
+
+    await t.test('near me list', () => {
+        const stop = hostileStop();
+        run('nearMeStops').splice(0, Infinity, { stop, distance: 120 });
+        run('nearMeArrivals').set(stop.stop_id, { fetchedAt: Date.now(), arrivals: [hostileArrival({ lineId: HOSTILE_ID })] });
+        run('renderNearMe')();
+
+        const list = document.getElementById('near-me');
+        assertInert(list);
+        assertHasText(list, '.destination', HOSTILE);
+        assertHasText(list, '.near-me-line', HOSTILE_ID);
+        assert.equal(list.querySelector('.near-me-select').dataset.stopName, HOSTILE);
+    });
+
+    await t.test('trip detail', () => {
+        run(`tripDetail = ${JSON.stringify({
+            tripId: HOSTILE_ID,
+            lineId: HOSTILE_ID,
+            vehicleId: `41|${HOSTILE}`,
+            stopId: HOSTILE_ID,
+            patternId: 'p1',
+            destination: HOSTILE,
+            arrivalTs: null,
+            scrolled: true
+        })}`);
+        const pattern = {
+            id: 'p1',
+            headsign: HOSTILE,
+            path: [
+                { stop: { id: HOSTILE_ID, name: HOSTILE }, stop_sequence: 1 },
+                { stop: { id: 'other', name: HOSTILE }, stop_sequence: 2 }
+            ]
+        };
+        run('renderTripDetail')(pattern, { trip_id: HOSTILE_ID, current_stop_sequence: 1 });
+
+        const title = document.getElementById('trip-title');
+        const content = document.getElementById('trip-content');
+        assertInert(title);
+        assertInert(content);
+        assertHasText(title, '.destination', HOSTILE);
+        assertHasText(content, '.trip-note', HOSTILE);
+        assertHasText(content, '.trip-stop-name', HOSTILE);
+        assert.equal(content.querySelector('.trip-stop-select').dataset.stopName, HOSTILE);
+    });
+
+    await t.test('line explorer stops and vehicles', async () => {
+        run('lineMap = L.map(); lineShapeLayer = L.layerGroup(); lineStopsLayer = L.layerGroup(); lineVehiclesLayer = L.layerGroup();');
+        run(`lineExplorer = ${JSON.stringify({
+            lineId: HOSTILE_ID,
+            line: { long_name: HOSTILE },
+            patterns: [{
+                id: HOSTILE_ID,
+                direction_id: 0,
+                headsign: HOSTILE,
+                path: [{ stop: { id: HOSTILE_ID, name: HOSTILE }, stop_sequence: 1 }]
+            }],
+            patternId: null,
+            vehicles: [{ id: `41|${HOSTILE}`, pattern_id: HOSTILE_ID, stop_id: HOSTILE_ID, lat: 38.7, lon: -9.2, bearing: HOSTILE }]
+        })}`);
+        // Renders the lists before waiting for map tiles
+        await run('selectLinePattern')(HOSTILE_ID);
+        run('renderLineVehicles')();
+
+        const patterns = document.getElementById('line-patterns');
+        const content = document.getElementById('line-content');
+        assertInert(patterns);
+        assertInert(content);
+        assertHasText(patterns, 'button', HOSTILE);
+        assertHasText(content, '.trip-stop-name', HOSTILE);
+        assertHasText(content, '.line-vehicle-dest', HOSTILE);
+        assertHasText(content, '.vehicle-tag', HOSTILE);
+        assert.equal(patterns.querySelector('button').dataset.patternId, HOSTILE_ID);
+        assert.equal(content.querySelector('.line-vehicle').dataset.vehicleId, `41|${HOSTILE}`);
+    });
+    await t.test('timetable', () => {
+        run('availableLines = []');
+        const serviceDate = { year: 2026, month: 1, day: 5 };
+        const pattern = {
+            line_id: HOSTILE_ID,
+            headsign: HOSTILE,
+            trips: [{
+                id: HOSTILE_ID,
+                dates: ['20260105'],
+                schedule: [
+                    { stop_id: HOSTILE_ID, arrival_time: '08:10:00' },
+                    { stop_id: 'other', arrival_time: '08:20:00' }
+                ]
+            }]
+        };
+        const groups = run('buildTimetable')([pattern], [HOSTILE_ID], serviceDate);
+        run('renderTimetable')(groups, serviceDate);
+
+        const content = document.getElementById('timetable-content');
+        assertInert(content);
+        assertHasText(content, '.destination', HOSTILE);
+        assertHasText(content, '.line-number', HOSTILE_ID);
+    });
+
+    await t.test('alert sheet', () => {
+        run(`cachedArrivals = ${JSON.stringify([hostileArrival()])}`);
+        run('openAlertSheet')(HOSTILE_ID, '1523', `41|${HOSTILE}`, HOSTILE_ID);
+
+        const sheet = document.getElementById('alert-sheet');
+        assertInert(sheet);
+        assertHasText(sheet, '.destination', HOSTILE);
+        assertHasText(sheet, '.alert-option', HOSTILE);
+        run('closeAlertSheet')();
+    });
+
+    await t.test('alert banner', () => {
+        run('fireAlert')({ id: HOSTILE_ID, lineId: HOSTILE_ID, destination: HOSTILE, stopName: HOSTILE }, HOSTILE);
+
+        const banner = document.getElementById('alert-banner');
+        assertInert(banner);
+        assertHasText(banner, 'b', `${HOSTILE_ID} → ${HOSTILE}`);
+        assertHasText(banner, 'span', HOSTILE);
+    });
+
+    await t.test('alerts panel', () => {
+        run(`arrivalAlerts = ${JSON.stringify([{
+            id: HOSTILE_ID,
+            stopId: HOSTILE_ID,
+            stopIds: [HOSTILE_ID],
+            stopName: HOSTILE,
+            lineId: HOSTILE_ID,
+            destination: HOSTILE,
+            mode: 'minutes',
+            threshold: 5,
+            status: 'lost',
+            lastMinutes: 7,
+            misses: 0
+        }])}`);
+        const panel = document.getElementById('alerts-panel');
+        panel.classList.add('show');
+        run('renderAlertsPanel')();
+
+        assertInert(panel);
+        assertHasText(panel, '.destination', HOSTILE);
+        assertHasText(panel, '.line-number', HOSTILE_ID);
+        assert.equal(panel.querySelector('[data-action="cancel-alert"]').dataset.alertId, HOSTILE_ID);
+    });
+
+    await t.test('groups panel', () => {
+        const member = hostileStop();
+        const nearby = hostileStop({ stop_id: `${HOSTILE_ID}2`, latNum: 38.7005 });
+        run(`
+            stopsManifest = { tileDeg: 0.05, tiles: {} };
+            allStops = ${JSON.stringify([member, nearby])};
+            stopsById = new Map(allStops.map(stop => [stop.stop_id, stop]));
+            stopsGrid = new Map([['hostile', allStops]]);
+            userGroups = ${JSON.stringify([{ id: HOSTILE_ID, name: HOSTILE, stops: [HOSTILE_ID, '120385'] }])};
+            groupDraft = ${JSON.stringify({ id: null, name: '', stops: [HOSTILE_ID], radius: 150 })};
+        `);
+        run('renderGroupsPanel')();
+
+        const panel = document.getElementById('groups-panel');
+        assertInert(panel);
+        assertHasText(panel, '.group-name', HOSTILE);
+        assertHasText(panel, '.group-chip', HOSTILE);
+        assertHasText(panel, '.suggestion-name', HOSTILE);
+        assert.equal(panel.querySelector('.group-name').dataset.stopId, HOSTILE_ID);
+        assert.equal(panel.querySelector('[data-action="add-group-member"]').dataset.stopId, nearby.stop_id);
+    });
+
+    await t.test('quick actions and favourites', () => {
+        run(`
+            favourites = ${JSON.stringify([{ id: HOSTILE_ID, name: HOSTILE }])};
+            recentStops = ${JSON.stringify([`${HOSTILE_ID}2`])};
+        `);
+        run('renderQuickActions')();
+
+        const quick = document.getElementById('quick-stops');
+        assertInert(quick);
+        assertHasText(quick, '.quick-btn', HOSTILE);
+        assert.equal(quick.querySelector('[data-action="quick-select"]').dataset.stopId, HOSTILE_ID);
+
+        run('renderFavouritesPanel')();
+        const panel = document.getElementById('favourites-panel');
+        assertInert(panel);
+        assert.equal(panel.querySelector('input').value, HOSTILE);
+    });
+
+    await t.test('stats', async () => {
+        const departedTs = Date.UTC(2026, 0, 5, 8, 12);
+        const observations = [{
+            lineId: HOSTILE_ID,
+            outcome: 'departed',
+            scheduledTs: departedTs - 2 * 60000,
+            departedTs,
+            hour: 8,
+            predictions: [{ at: departedTs - 10 * 60000, arrivalTs: departedTs - 60000 }],
+            wasRealtime: true,
+            firstSeen: departedTs - 20 * 60000
+        }];
+        run('activeLines = new Set()');
+        const { HistoryStore } = page.window;
+        HistoryStore.prune = async () => {};
+        HistoryStore.getForStops = async () => observations;
+        await run('openStats')();
+
+        const content = document.getElementById('stats-content');
+        assertInert(content);
+        assertHasText(content, '.line-number', HOSTILE_ID);
+    });
+});
@@ -0,0 +1,58 @@
+// The sample session in fixtures/ replayed through the page: every view that talks
+// to the API has to come up from the recording alone, with no network.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./page.js');
+
+async function waitFor(check, what, ms = 5000) {
+    const until = Date.now() + ms;
+    while (Date.now() < until) {
+        const value = check();
+        if (value) return value;
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    assert.fail(`timed out waiting for ${what}`);
+}
+
+test('sample session replays the arrivals, bus map, trip, line and timetable views', async (t) => {
+    const page = loadPage({ search: '?stop=120385&apiMode=replay', serveFiles: true });
+    const { document, run } = page;
+    t.after(() => {
+        run('clearTimeout(refreshInterval); closeTripDetail(); closeLineExplorer(); closeTimetable()');
+        page.close();
+    });
+
+    const row = await waitFor(() => document.querySelector('.arrival-main[data-line-id="1527"]'), 'the arrivals list');
+
+    await t.test('bus map follows the bus along its shape', async () => {
+        row.click();
+        await waitFor(() => page.leafletCalls.some(c => c.method === 'geoJSON'), 'the route shape');
+        const estimate = await waitFor(() => document.querySelector('.route-estimate[data-vehicle-id="41|1201"]:not(:empty)'), 'the distance along the route');
+        assert.match(estimate.textContent, /\d/);
+    });
+
+    await t.test('trip detail', async () => {
+        run('openTripDetail')('1527_0_1_0855', '1527', '41|1201', '120385');
+        const content = document.getElementById('trip-content');
+        await waitFor(() => content.querySelector('.trip-stop.current'), 'the bus on the stop sequence');
+        assert.equal(content.querySelectorAll('.trip-stop-select').length, 10);
+        assert.ok(content.querySelector('.trip-stop.mine .trip-time').textContent.trim());
+    });
+
+    await t.test('line explorer', async () => {
+        run('openLineExplorer')('1527');
+        const content = document.getElementById('line-content');
+        await waitFor(() => content.querySelectorAll('.line-vehicle').length === 2, 'the line vehicles');
+        assert.equal(document.querySelectorAll('#line-patterns button').length, 2);
+        assert.equal(content.querySelectorAll('.trip-stop-select').length, 10);
+        assert.ok(content.querySelector('.trip-stop.mine'));
+    });
+
+    await t.test('timetable', async () => {
+        run('openTimetable')();
+        const content = document.getElementById('timetable-content');
+        await waitFor(() => content.querySelector('.timetable-group'), 'the timetable');
+        assert.equal(content.querySelectorAll('.timetable-time').length, 20);
+        assert.ok(content.querySelector('.timetable-time.next'));
+    });
+});
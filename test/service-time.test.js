@@ -0,0 +1,116 @@
+// Run with a device time zone that is not Lisbon's and changes DST on other dates
+// (8 March / 1 November 2026), so any leak of local time shows up as an hour off.
+process.env.TZ = 'America/New_York';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ServiceTime = require('../service-time.js');
+
+const { serviceTimeToInstant, serviceTimeOnDate, wallTimeToInstant, minutesUntil, formatServiceClock } = ServiceTime;
+
+const iso = (date) => date.toISOString();
+
+test('runs under a non-Lisbon device time zone', () => {
+    assert.equal(new Date('2026-06-15T12:00:00Z').getTimezoneOffset(), 240);
+});
+
+test('parseServiceTime accepts hours past 24 and rejects anything else', () => {
+    assert.equal(ServiceTime.parseServiceTime('25:10:00'), 25 * 3600 + 10 * 60);
+    assert.equal(ServiceTime.parseServiceTime('07:05'), 7 * 3600 + 5 * 60);
+    assert.equal(ServiceTime.parseServiceTime('7h05'), null);
+    assert.equal(ServiceTime.parseServiceTime(null), null);
+});
+
+test('25:10:00 is 01:10 the next calendar day', () => {
+    // 23:50 in Lisbon (WEST, UTC+1) on 15 June
+    const now = new Date('2026-06-15T22:50:00Z');
+    const instant = serviceTimeToInstant('25:10:00', now);
+    assert.equal(iso(instant), '2026-06-16T00:10:00.000Z');
+    assert.equal(formatServiceClock(instant), '01:10');
+    assert.equal(minutesUntil(instant, now), 80);
+});
+
+test('25:10:00 read after midnight belongs to the previous service day', () => {
+    // 00:20 in Lisbon on 16 June: the late trip of the 15th is still ahead
+    const now = new Date('2026-06-15T23:20:00Z');
+    const instant = serviceTimeToInstant('25:10:00', now);
+    assert.equal(iso(instant), '2026-06-16T00:10:00.000Z');
+    assert.equal(minutesUntil(instant, now), 50);
+});
+
+test('an early time read just before midnight is tomorrow', () => {
+    // 23:58 in Lisbon on 15 June, bus at 00:05
+    const now = new Date('2026-06-15T22:58:00Z');
+    const instant = serviceTimeToInstant('00:05:00', now);
+    assert.equal(iso(instant), '2026-06-15T23:05:00.000Z');
+    assert.equal(minutesUntil(instant, now), 7);
+});
+
+test('a late time read just after midnight is yesterday', () => {
+    // 00:03 in Lisbon on 16 June, bus was due at 23:59
+    const now = new Date('2026-06-15T23:03:00Z');
+    const instant = serviceTimeToInstant('23:59:00', now);
+    assert.equal(iso(instant), '2026-06-15T22:59:00.000Z');
+    assert.equal(minutesUntil(instant, now), -4);
+});
+
+test('service date follows Lisbon, not the device', () => {
+    // 00:30 on 16 June in Lisbon is still the 15th in New York
+    assert.deepEqual(ServiceTime.getServiceDate(new Date('2026-06-15T23:30:00Z')), { year: 2026, month: 6, day: 16 });
+});
+
+test('the service day in progress runs past midnight', () => {
+    const { getCurrentServiceDate } = ServiceTime;
+    // 01:30 in Lisbon on 16 June: the 15th's trips past 24:00 are still running
+    assert.deepEqual(getCurrentServiceDate(new Date('2026-06-16T00:30:00Z')), { year: 2026, month: 6, day: 15 });
+    // 04:00 starts the 16th
+    assert.deepEqual(getCurrentServiceDate(new Date('2026-06-16T03:00:00Z')), { year: 2026, month: 6, day: 16 });
+    // Across the month end
+    assert.deepEqual(getCurrentServiceDate(new Date('2026-07-01T01:00:00Z')), { year: 2026, month: 6, day: 30 });
+});
+
+test('spring forward, 29 March 2026: times after the change use WEST', () => {
+    const day = { year: 2026, month: 3, day: 29 };
+    // Noon minus 12h is 23:00 UTC the day before (00:00 WET was an hour later)
+    assert.equal(iso(serviceTimeOnDate('00:00:00', day)), '2026-03-28T23:00:00.000Z');
+    assert.equal(iso(serviceTimeOnDate('03:00:00', day)), '2026-03-29T02:00:00.000Z');
+    assert.equal(iso(serviceTimeOnDate('12:00:00', day)), '2026-03-29T11:00:00.000Z');
+    assert.equal(formatServiceClock(serviceTimeOnDate('12:00:00', day)), '12:00');
+
+    const now = new Date('2026-03-29T09:00:00Z'); // 10:00 WEST
+    const instant = serviceTimeToInstant('10:05:00', now);
+    assert.equal(iso(instant), '2026-03-29T09:05:00.000Z');
+    assert.equal(minutesUntil(instant, now), 5);
+});
+
+test('spring forward: a wall time in the gap resolves after it', () => {
+    // 01:30 does not exist on 29 March; it reads as 02:30 WEST
+    assert.equal(new Date(wallTimeToInstant(2026, 3, 29, 1, 30, 0)).toISOString(), '2026-03-29T01:30:00.000Z');
+    assert.equal(new Date(wallTimeToInstant(2026, 3, 29, 2, 30, 0)).toISOString(), '2026-03-29T01:30:00.000Z');
+});
+
+test('fall back, 25 October 2026: times after the change use WET', () => {
+    const day = { year: 2026, month: 10, day: 25 };
+    // Noon minus 12h is 00:00 UTC, i.e. 01:00 WEST
+    assert.equal(iso(serviceTimeOnDate('00:00:00', day)), '2026-10-25T00:00:00.000Z');
+    assert.equal(iso(serviceTimeOnDate('13:00:00', day)), '2026-10-25T13:00:00.000Z');
+    assert.equal(formatServiceClock(serviceTimeOnDate('13:00:00', day)), '13:00');
+
+    const now = new Date('2026-10-25T10:00:00Z'); // 10:00 WET
+    const instant = serviceTimeToInstant('10:05:00', now);
+    assert.equal(iso(instant), '2026-10-25T10:05:00.000Z');
+    assert.equal(minutesUntil(instant, now), 5);
+});
+
+test('fall back: an ambiguous wall time resolves to its first occurrence', () => {
+    // 01:30 happens twice on 25 October; the WEST one comes first
+    assert.equal(new Date(wallTimeToInstant(2026, 10, 25, 1, 30, 0)).toISOString(), '2026-10-25T00:30:00.000Z');
+});
+
+test('25:10:00 across the fall-back night', () => {
+    // Service day of 24 October starts at 00:00 WEST (23:00 UTC on the 23rd)
+    const now = new Date('2026-10-24T23:30:00Z'); // 00:30 WEST on the 25th
+    const instant = serviceTimeToInstant('25:10:00', now);
+    assert.equal(iso(instant), '2026-10-25T00:10:00.000Z');
+    assert.equal(formatServiceClock(instant), '01:10');
+});